@@ -1,304 +1,906 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { Sun, Moon, Copy, Printer, Trash2, ChevronUp, ChevronDown, PenSquare, Music, PlusCircle, MinusCircle, Github, X, Instagram, Linkedin } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useReducer, useRef } from 'react';
+import { Sun, Moon, Copy, Printer, Trash2, ChevronUp, ChevronDown, PenSquare, Music, PlusCircle, MinusCircle, FileUp, Download, Library, Undo2, Redo2, Play, Square, Maximize2, Link } from 'lucide-react';
+import ImportModal from './components/ImportModal';
+import ChordBuilder from './components/ChordBuilder';
+import { POPOVER_INPUT_ID } from './components/ChordPopover';
+import ArrangementPanel from './components/ArrangementPanel';
+import LibraryPanel from './components/LibraryPanel';
+import ChordDiagram from './components/ChordDiagram';
+import ChordDiagramPanel from './components/ChordDiagramPanel';
+import PerformanceView from './components/PerformanceView';
+import UpdatePrompt from './components/UpdatePrompt';
+import Toast from './components/Toast';
+import ChordButton from './components/ChordButton';
+import EditorLine from './components/EditorLine';
+import HowToModal from './components/HowToModal';
+import AppFooter from './components/AppFooter';
+import { NOTES } from './utils/music';
+import { SCALE_TYPES, getScaleChords, getScaleSevenths, getBorrowedChords, formatScaleName } from './utils/scales';
+import { MAX_CAPO, getShapeKey, toShapeLines, fromShapeLines, suggestCapos } from './utils/capo';
+import { keyPrefersFlats, spellNote, isValidChord } from './utils/chordParser';
+import { getVoicings } from './utils/chordDiagrams';
+import { DEFAULT_FONT_SIZE, DEFAULT_SCROLL_SPEED } from './utils/performance';
+import { isAudioSupported, playChord, getPlayAlongSteps, getPlayRowKey, playProgression } from './utils/audio';
+import { parseChordSheet } from './utils/sheetImport';
+import { flattenForExport, toHtml, toChordPro, toMarkdown, toFileName, formatKeyName } from './utils/sheetExport';
+import { toNashvilleLines, detectKey } from './utils/analysis';
+import { getSections, hasNamedSections, resolveArrangement, arrangeLines, getSectionLabel } from './utils/sections';
+import { downloadFile } from './utils/download';
+import { isSongDocument, toSongDocument, toBackupDocument, parseSongDocument, toShareUrl, isShareHash, readShareHash } from './utils/songFormat';
+import { applyUpdate } from './serviceWorkerRegistration';
+import { measureCharWidth, offsetToCharIndex, migrateChordPositions } from './utils/chordAnchors';
+import { STORES, isPersistentStorage, getAll, put, remove, getSetting, setSetting, readLegacySheet, clearLegacySheet, readSessionHistory, writeSessionHistory, clearSessionHistory, clearOtherSessionHistories } from './utils/storage';
+import { createHistory, createSnapshot, pushHistory, undoHistory, redoHistory, canUndo, canRedo, isHistory } from './utils/history';
+import { findChord, copyChordRow, getAdjacentChord, getChordOnNearbyLine, moveCaret, getChordAtCaret, describeCaret } from './utils/chordEditing';
+import { createSheetState, sheetReducer, getUntransposableChords, findOrphanedChords } from './utils/sheetState';
+import { getKeyAction } from './utils/keyboard';
+import { createId, createSong, duplicateSong, songFromLegacySheet, createSetlist, parseTags, getSongContent, getSongTitle } from './utils/library';
 
 // --- Constants ---
-const NOTES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-const MAJOR_SCALE_INTERVALS = [0, 2, 4, 5, 7, 9, 11];
-const MINOR_SCALE_INTERVALS = [0, 2, 3, 5, 7, 8, 10];
-const MAJOR_CHORD_TYPES = ['major', 'minor', 'minor', 'major', 'major', 'minor', 'diminished'];
-const MINOR_CHORD_TYPES = ['minor', 'diminished', 'major', 'minor', 'minor', 'major', 'major'];
-const LOCAL_STORAGE_KEY = 'onlyChordsSheetData';
-
-// --- Helper Functions ---
-const getScaleChords = (key, scaleType) => {
-    const rootNoteIndex = NOTES.indexOf(key);
-    const intervals = scaleType === 'major' ? MAJOR_SCALE_INTERVALS : MINOR_SCALE_INTERVALS;
-    const chordTypes = scaleType === 'major' ? MAJOR_CHORD_TYPES : MINOR_CHORD_TYPES;
-    return intervals.map((interval, i) => {
-        const noteIndex = (rootNoteIndex + interval) % 12;
-        let chordName = NOTES[noteIndex];
-        if (chordTypes[i] === 'minor') chordName += 'm';
-        if (chordTypes[i] === 'diminished') chordName += 'dim';
-        return { name: chordName, type: chordTypes[i] };
-    });
-};
-
-const transposeChord = (chordName, amount) => {
-    const rootRegex = /^[A-G]#?/;
-    const match = chordName.match(rootRegex);
-    if (!match) return chordName;
-    const root = match[0];
-    const quality = chordName.substring(root.length);
-    const currentIndex = NOTES.indexOf(root);
-    if (currentIndex === -1) return chordName;
-    const newIndex = (currentIndex + amount + 12) % 12;
-    const newRoot = NOTES[newIndex];
-    return newRoot + quality;
-};
-
-// --- Components ---
-
-const Toast = ({ message, show }) => {
-    if (!show) return null;
-    return (
-        <div className="fixed bottom-10 left-1/2 -translate-x-1/2 bg-gray-900 dark:bg-gray-100 text-white dark:text-black py-2 px-6 rounded-lg shadow-lg z-50 transition-opacity duration-300">
-            {message}
-        </div>
-    );
-};
-
-const ChordButton = ({ chord, index, onArm, isActive }) => (
-    <button
-        className={`relative flex items-center justify-center px-3 py-2 rounded-lg font-semibold shadow-sm border transition-all duration-200 text-sm
-            ${isActive 
-                ? 'transform -translate-y-0.5 text-white border-transparent bg-gradient-to-br from-purple-600 to-blue-500' 
-                : 'bg-white/80 dark:bg-gray-700/80 text-gray-800 dark:text-gray-200 border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-600'
-            }`}
-        onClick={() => onArm(chord.name)}
-    >
-        {isActive && <span className="absolute -inset-0.5 rounded-lg bg-gradient-to-r from-pink-500 via-purple-500 to-blue-500 opacity-75 blur-md animate-pulse"></span>}
-        {index !== undefined && <span className={`relative flex items-center justify-center w-5 h-5 text-xs rounded-full mr-2 ${isActive ? 'bg-white text-blue-600' : 'bg-gray-600 dark:bg-gray-500 text-white'}`}>{index + 1}</span>}
-        <span className="relative">{chord.name}</span>
-    </button>
-);
-
-const EditorLine = ({ line, onLineClick, onChordClick }) => {
-    return (
-        <>
-            <div className="chord-line relative h-6" data-id={line.id} onClick={(e) => onLineClick(e, line.id)}>
-                {line.chords.map(chord => (
-                    <span
-                        key={chord.id}
-                        className="chord-span absolute bg-white/80 dark:bg-black/80 px-1 cursor-pointer rounded text-fuchsia-500 dark:text-fuchsia-400"
-                        style={{ left: `${chord.position}px` }}
-                        onClick={(e) => onChordClick(e, line.id, chord.id)}
-                    >
-                        {chord.text}
-                    </span>
-                ))}
-                {'\u00A0'}
-            </div>
-            <div className="lyric-line w-full outline-none">{line.text || '\u00A0'}</div>
-        </>
-    );
-};
+const MAX_RECENT_CHORDS = 8;
+const DEFAULT_TEMPO = 90;
+const MIN_TEMPO = 40;
+const MAX_TEMPO = 240;
+const BEATS_PER_CHORD_CHOICES = [1, 2, 4, 8];
 
-const HowToModal = ({ show, onClose }) => {
-    if (!show) return null;
-    return (
-        <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50" onClick={onClose}>
-            <div className="bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-200 rounded-xl shadow-2xl p-8 max-w-lg w-full m-4" onClick={e => e.stopPropagation()}>
-                <div className="flex justify-between items-center mb-4">
-                    <h3 className="text-2xl font-bold">How to Use Only<span className="bg-gradient-to-r from-purple-600 to-blue-500 text-transparent bg-clip-text bg-[length:200%_auto] animate-gradient-flow">Chords</span></h3>
-                    <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700">
-                        <X size={24} />
-                    </button>
-                </div>
-                <div className="space-y-4 text-gray-600 dark:text-gray-400">
-                    <p>This app uses a two-step process for the best experience:</p>
-                    <ol className="list-decimal list-inside space-y-2">
-                        <li><strong className="text-gray-800 dark:text-gray-200">Edit Lyrics:</strong> Type or paste all your lyrics into the text area.</li>
-                        <li><strong className="text-gray-800 dark:text-gray-200">Add Chords:</strong> Click the "Add Chords" button. This locks the lyrics and lets you place chords. You can always go back to edit lyrics without losing your chord placements.</li>
-                    </ol>
-                    <h4 className="text-lg font-semibold pt-4">Keyboard Shortcuts</h4>
-                    <ul className="list-disc list-inside space-y-1">
-                        <li><kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">1</kbd> - <kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">7</kbd>: Arm the corresponding chord from the main palette.</li>
-                        <li><kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">Alt</kbd> + <kbd>Number</kbd>: Type a number into the lyrics text area.</li>
-                        <li><kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">Esc</kbd>: Disarm any selected chord.</li>
-                    </ul>
-                </div>
-            </div>
-        </div>
-    );
-};
-
-const AppFooter = ({ onHowToClick }) => (
-    <footer className="w-full mt-16 py-8 border-t border-gray-200 dark:border-gray-800">
-        <div className="max-w-7xl mx-auto text-center text-gray-500 dark:text-gray-400 text-sm space-y-4">
-            <p>Made with ❤️ by A Musician (for Musicians)</p>
-            <div className="flex justify-center items-center gap-x-6">
-                <button onClick={onHowToClick} className="hover:text-blue-500 transition-colors">How-to & Shortcuts</button>
-                <a href="mailto:delston.aaron@gmail.com?subject=Feedback on OnlyChords" className="hover:text-blue-500 transition-colors">Report a Bug</a>
-            </div>
-            <div className="flex justify-center items-center gap-x-4 pt-2">
-                 <a href="https://www.instagram.com/delston.aaron" target="_blank" rel="noopener noreferrer" className="hover:text-pink-500 transition-colors"><Instagram size={20} /></a>
-                 <a href="https://www.linkedin.com/in/delston-pereira/" target="_blank" rel="noopener noreferrer" className="hover:text-blue-500 transition-colors"><Linkedin size={20} /></a>
-                 <a href="https://github.com/delston-aaron" target="_blank" rel="noopener noreferrer" className="hover:text-gray-400 dark:hover:text-gray-300 transition-colors"><Github size={20} /></a>
-            </div>
-            <p className="text-xs text-gray-400 dark:text-gray-500 pt-4">
-                Built with React & Tailwind CSS. Icons by Lucide React.
-            </p>
-        </div>
-    </footer>
-);
-
-export default function App() {
-    const [scaleKey, setScaleKey] = useState('C');
-    const [scaleType, setScaleType] = useState('major');
-    const [lines, setLines] = useState([]);
-    const [lyrics, setLyrics] = useState('');
+// `updateRegistration` is the service worker registration with a new build waiting, if any.
+export default function App({ updateRegistration = null }) {
+    const [sheet, dispatchSheet] = useReducer(sheetReducer, undefined, createSheetState);
+    const { lines, lyrics, scaleKey, scaleType, editorStep, arrangement, capo } = sheet;
+    const [songMeta, setSongMeta] = useState({ title: '', artist: '', tags: [], createdAt: null });
+    const [tagsInput, setTagsInput] = useState('');
+    const [currentSongId, setCurrentSongId] = useState(null);
+    const [songs, setSongs] = useState([]);
+    const [setlists, setSetlists] = useState([]);
     const [armedChord, setArmedChord] = useState(null);
+    const [recentChords, setRecentChords] = useState([]);
+    const [selectedChord, setSelectedChord] = useState(null);
+    // Keyboard placement: the caret in the chord editor (shown while the editor has focus) and
+    // the last thing said about it to screen readers.
+    const [caret, setCaret] = useState(null);
+    const [isCaretActive, setIsCaretActive] = useState(false);
+    const [announcement, setAnnouncement] = useState('');
+    const [copiedRow, setCopiedRow] = useState(null);
+    const [history, setHistory] = useState(createHistory);
+    const [showNumerals, setShowNumerals] = useState(false);
+    const [useNashville, setUseNashville] = useState(false);
+    const [showShapes, setShowShapes] = useState(false);
+    const [diagramInstrument, setDiagramInstrument] = useState('guitar');
+    const [diagramPrint, setDiagramPrint] = useState('none');
+    const [voicingChoices, setVoicingChoices] = useState({});
+    const [chordSounds, setChordSounds] = useState(true);
+    const [playTempo, setPlayTempo] = useState(DEFAULT_TEMPO);
+    const [beatsPerChord, setBeatsPerChord] = useState(4);
+    const [isPlayingAlong, setIsPlayingAlong] = useState(false);
+    const [playingRow, setPlayingRow] = useState(null);
+    const stopPlayAlongRef = useRef(null);
+    const [scrollSpeed, setScrollSpeed] = useState(DEFAULT_SCROLL_SPEED);
+    const [performing, setPerforming] = useState(null);
+    const [performanceFontSize, setPerformanceFontSize] = useState(DEFAULT_FONT_SIZE);
+    const [highContrast, setHighContrast] = useState(false);
+    const [dismissedUpdate, setDismissedUpdate] = useState(null);
+    // The import handlers for effects that subscribe once (file launches, share links).
+    const latestHandlersRef = useRef(null);
     const [toast, setToast] = useState({ show: false, message: '' });
     const [isDarkMode, setIsDarkMode] = useState(true);
-    const [editorStep, setEditorStep] = useState('lyrics');
     const [saveStatus, setSaveStatus] = useState('Saved');
     const [showExtraChords, setShowExtraChords] = useState(false);
     const [showHowTo, setShowHowTo] = useState(false);
-    const charWidthRef = useRef(0);
+    const [showImport, setShowImport] = useState(false);
+    const [showExportMenu, setShowExportMenu] = useState(false);
+    const [showLibrary, setShowLibrary] = useState(false);
+    const libraryLoadStartedRef = useRef(false);
+    const lastSavedRef = useRef(null);
 
     const diatonicChords = getScaleChords(scaleKey, scaleType);
-    const chromaticChords = NOTES.flatMap(note => [
-        { name: note, type: 'major' },
-        { name: `${note}m`, type: 'minor' }
-    ]);
+    const diatonicSevenths = getScaleSevenths(scaleKey, scaleType);
+    const borrowedChords = getBorrowedChords(scaleKey, scaleType);
+    const sheetKey = { scaleKey, scaleType };
+    const playedChords = lines.flatMap(line => [...line.chords].sort((a, b) => a.index - b.index).map(c => c.text));
+    const songChords = [...new Set(playedChords)];
+    const detectedKey = detectKey(playedChords);
+    const capoSuggestions = suggestCapos(playedChords);
+    // Chords are stored in concert pitch; the final sheet (and everything exported from it) can
+    // show the capo shapes instead, and Nashville numbers instead of chord names.
+    const isShapesView = showShapes && capo > 0;
+    const viewKey = isShapesView ? getShapeKey(sheetKey, capo) : sheetKey;
+    const viewLines = isShapesView ? toShapeLines(lines, sheetKey, capo) : lines;
+    const sheetLines = useNashville ? toNashvilleLines(viewLines, viewKey) : viewLines;
+    const analysisKey = showNumerals ? sheetKey : null;
+    const outputAnalysisKey = showNumerals ? viewKey : null;
+    // Diagrams follow the view, so a guitarist with a capo sees the shapes they play.
+    const diagramChords = [...new Set(viewLines.flatMap(line => [...line.chords].sort((a, b) => a.index - b.index).map(c => c.text)))].filter(isValidChord);
+    const sections = getSections(sheetLines);
+    const arrangedSections = resolveArrangement(sections, arrangement);
+    const chromaticChords = NOTES.flatMap((_, noteIndex) => {
+        const note = spellNote(noteIndex, keyPrefersFlats(scaleKey, scaleType));
+        return [
+            { name: note, type: 'major' },
+            { name: `${note}m`, type: 'minor' }
+        ];
+    });
+
+    // --- Song Library ---
+    const applySong = useCallback((song) => {
+        if (stopPlayAlongRef.current) stopPlayAlongRef.current();
+        stopPlayAlongRef.current = null;
+        setIsPlayingAlong(false);
+        setPlayingRow(null);
+        const songLines = migrateChordPositions(song.lines || [], measureCharWidth());
+        setCurrentSongId(song.id);
+        setSelectedChord(null);
+        setSongMeta({ title: song.title || '', artist: song.artist || '', tags: song.tags || [], createdAt: song.createdAt });
+        setTagsInput((song.tags || []).join(', '));
+        dispatchSheet({ type: 'load', sheet: { ...song, lines: songLines } });
+        setScrollSpeed(song.scrollSpeed || DEFAULT_SCROLL_SPEED);
+        setArmedChord(null);
+        clearOtherSessionHistories(song.id);
+        const savedHistory = readSessionHistory(song.id);
+        setHistory(isHistory(savedHistory) ? savedHistory : createHistory());
+        // Compared with the song as stored, so chords converted from pixel positions get saved.
+        lastSavedRef.current = JSON.stringify(getSongContent(song));
+        setSetting('currentSongId', song.id).catch(error => console.error("Failed to remember the open song", error));
+    }, []);
 
-    // --- Load from Local Storage on initial render ---
+    // --- Load the library (migrating the old single sheet) on initial render ---
     useEffect(() => {
-        try {
-            const savedData = localStorage.getItem(LOCAL_STORAGE_KEY);
-            if (savedData) {
-                const data = JSON.parse(savedData);
-                setScaleKey(data.scaleKey || 'C');
-                setScaleType(data.scaleType || 'major');
-                setLines(data.lines || []);
-                setLyrics(data.lyrics || '');
-                setEditorStep(data.editorStep || 'lyrics');
+        if (libraryLoadStartedRef.current) return;
+        libraryLoadStartedRef.current = true;
+        const loadLibrary = async () => {
+            try {
+                let savedSongs = await getAll(STORES.songs);
+                let openSongId = await getSetting('currentSongId');
+                const legacySheet = readLegacySheet();
+                if (legacySheet) {
+                    // Its chords may still be pixel positions; store them as character indexes.
+                    const legacySong = songFromLegacySheet(legacySheet);
+                    const migratedSong = { ...legacySong, lines: migrateChordPositions(legacySong.lines, measureCharWidth()) };
+                    await put(STORES.songs, migratedSong);
+                    clearLegacySheet();
+                    savedSongs = [...savedSongs, migratedSong];
+                    openSongId = migratedSong.id;
+                }
+                if (savedSongs.length === 0) {
+                    const firstSong = createSong();
+                    await put(STORES.songs, firstSong);
+                    savedSongs = [firstSong];
+                }
+                setSongs(savedSongs);
+                setSetlists(await getAll(STORES.setlists));
+                setRecentChords((await getSetting('recentChords')) || []);
+                setShowNumerals(!!(await getSetting('showNumerals')));
+                setUseNashville(!!(await getSetting('nashvilleNumbers')));
+                setShowShapes(!!(await getSetting('showShapes')));
+                setDiagramInstrument((await getSetting('diagramInstrument')) || 'guitar');
+                setDiagramPrint((await getSetting('diagramPrint')) || 'none');
+                setChordSounds((await getSetting('chordSounds')) !== false);
+                setPlayTempo((await getSetting('playTempo')) || DEFAULT_TEMPO);
+                setBeatsPerChord((await getSetting('playBeats')) || 4);
+                setPerformanceFontSize((await getSetting('performanceFontSize')) || DEFAULT_FONT_SIZE);
+                setHighContrast(!!(await getSetting('highContrast')));
+                applySong(savedSongs.find(song => song.id === openSongId) || savedSongs[0]);
+            } catch (error) {
+                console.error("Failed to load the song library", error);
+                setSaveStatus('Error');
             }
-        } catch (error) {
-            console.error("Failed to load from local storage", error);
-        }
-    }, []);
+        };
+        loadLibrary();
+    }, [applySong]);
 
-    // --- Save to Local Storage on any change ---
+    // --- Auto-save the open song on any change ---
     useEffect(() => {
-        const dataToSave = { scaleKey, scaleType, lines, lyrics, editorStep };
-        try {
-            localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(dataToSave));
-            setSaveStatus('Auto-saved');
-        } catch (error) {
-            console.error("Failed to save to local storage", error);
-            setSaveStatus('Error');
-        }
-    }, [scaleKey, scaleType, lines, lyrics, editorStep]);
+        if (!currentSongId) return;
+        const content = getSongContent({ ...songMeta, ...sheet, scrollSpeed });
+        const serialized = JSON.stringify(content);
+        if (serialized === lastSavedRef.current) return;
+        lastSavedRef.current = serialized;
+        const song = { ...content, id: currentSongId, createdAt: songMeta.createdAt, updatedAt: Date.now() };
+        setSongs(prevSongs => prevSongs.map(s => (s.id === song.id ? song : s)));
+        setSaveStatus('Saving...');
+        put(STORES.songs, song)
+            .then(() => setSaveStatus('Auto-saved'))
+            .catch(error => {
+                console.error("Failed to save song", error);
+                setSaveStatus('Error');
+            });
+    }, [currentSongId, songMeta, sheet, scrollSpeed]);
+
+    useEffect(() => {
+        if (currentSongId) writeSessionHistory(currentSongId, history);
+    }, [currentSongId, history]);
 
     useEffect(() => {
         document.documentElement.classList.toggle('dark', isDarkMode);
     }, [isDarkMode]);
 
+    // Files opened with the installed app (the file handling API, where supported) are imported
+    // once the library has loaded.
+    const isLibraryLoaded = currentSongId !== null;
     useEffect(() => {
-        const measure = document.createElement('span');
-        measure.style.fontFamily = "'Inconsolata', monospace";
-        measure.style.fontSize = '1rem';
-        measure.style.lineHeight = '1.8';
-        measure.style.whiteSpace = 'pre';
-        measure.style.visibility = 'hidden';
-        measure.style.position = 'absolute';
-        const sampleString = 'abcdefghijklmnopqrstuvwxyz0123456789';
-        measure.textContent = sampleString; 
-        document.body.appendChild(measure);
-        charWidthRef.current = measure.getBoundingClientRect().width / sampleString.length;
-        document.body.removeChild(measure);
-    }, []);
+        if (!isLibraryLoaded || !('launchQueue' in window)) return;
+        window.launchQueue.setConsumer(async (launchParams) => {
+            for (const fileHandle of launchParams.files) {
+                try {
+                    const file = await fileHandle.getFile();
+                    await latestHandlersRef.current.handleImport(await file.text());
+                } catch (error) {
+                    console.error("Failed to open file", error);
+                }
+            }
+        });
+    }, [isLibraryLoaded]);
 
+    // Share links carry a whole song in the URL hash; opening one adds the song to the library.
     useEffect(() => {
-        const handleKeyDown = (e) => {
-            if (e.altKey || e.target.tagName === 'SELECT' || e.target.tagName === 'TEXTAREA') return;
-            const key = e.key;
-            if (key >= '1' && key <= '7') {
-                e.preventDefault();
-                const chordToArm = diatonicChords[parseInt(key, 10) - 1];
-                if (chordToArm) toggleArmChord(chordToArm.name);
-            } else if (key === 'Escape') {
-                e.preventDefault();
-                if (armedChord) setArmedChord(null);
+        if (!isLibraryLoaded) return undefined;
+        const handleHashChange = () => {
+            if (isShareHash(window.location.hash)) latestHandlersRef.current.openSharedSong(window.location.hash);
+        };
+        handleHashChange();
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
+    }, [isLibraryLoaded]);
+
+    // Keep the line the play-along has reached in view.
+    useEffect(() => {
+        if (playingRow === null) return;
+        const row = document.querySelector('.chord-output [data-playing]');
+        if (row && row.scrollIntoView) row.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }, [playingRow]);
+
+    // --- Undo/Redo ---
+    const currentSnapshot = () => createSnapshot(sheet);
+
+    // Call before any undoable edit to the sheet.
+    const recordHistory = () => setHistory(prevHistory => pushHistory(prevHistory, currentSnapshot()));
+
+    const restoreSnapshot = (snapshot) => {
+        dispatchSheet({ type: 'load', sheet: snapshot });
+        setSelectedChord(null);
+    };
+
+    const handleUndo = () => {
+        const result = undoHistory(history, currentSnapshot());
+        if (!result) return;
+        setHistory(result.history);
+        restoreSnapshot(result.snapshot);
+    };
+
+    const handleRedo = () => {
+        const result = redoHistory(history, currentSnapshot());
+        if (!result) return;
+        setHistory(result.history);
+        restoreSnapshot(result.snapshot);
+    };
+
+    const armChord = (chordName) => {
+        setArmedChord(chordName);
+        const nextRecent = [chordName, ...recentChords.filter(c => c !== chordName)].slice(0, MAX_RECENT_CHORDS);
+        setRecentChords(nextRecent);
+        setSetting('recentChords', nextRecent).catch(error => console.error("Failed to save recent chords", error));
+    };
+
+    const toggleArmChord = (chordName) => {
+        if (armedChord === chordName) {
+            setArmedChord(null);
+        } else {
+            armChord(chordName);
+            previewChord(chordName);
+        }
+    };
+
+    // --- Keyboard Placement ---
+    const moveCaretBy = (move) => {
+        const next = moveCaret(lines, caret, move);
+        if (!next) return;
+        const chord = getChordAtCaret(lines, next);
+        setCaret(next);
+        setAnnouncement(`${chord ? `${chord.text} above ` : ''}${describeCaret(lines, next)}`);
+    };
+
+    // A chord already at the caret is replaced rather than stacked on.
+    const placeChordAtCaret = (chordName) => {
+        const target = moveCaret(lines, caret);
+        if (!target) return;
+        const existing = getChordAtCaret(lines, target);
+        recordHistory();
+        if (existing) dispatchSheet({ type: 'replace', lineId: target.lineId, chordId: existing.id, text: chordName });
+        else dispatchSheet({ type: 'place', id: createId(), lineId: target.lineId, text: chordName, index: target.index });
+        previewChord(chordName);
+        setCaret(target);
+        setAnnouncement(`${chordName} placed above ${describeCaret(lines, target)}`);
+    };
+
+    const deleteChordAtCaret = () => {
+        const target = moveCaret(lines, caret);
+        if (!target) return;
+        const chord = getChordAtCaret(lines, target);
+        if (!chord) {
+            setAnnouncement(`No chord above ${describeCaret(lines, target)}`);
+            return;
+        }
+        recordHistory();
+        dispatchSheet({ type: 'remove', lineId: target.lineId, chordId: chord.id });
+        setAnnouncement(`${chord.text} removed from above ${describeCaret(lines, target)}`);
+    };
+
+    // Only focus on the editor itself shows the caret, not focus on a chord or button in it.
+    const handleEditorFocus = (e) => {
+        if (e.target !== e.currentTarget) return;
+        const start = moveCaret(lines, caret);
+        setIsCaretActive(true);
+        setCaret(start);
+        if (start) setAnnouncement(describeCaret(lines, start));
+    };
+
+    const handleEditorBlur = (e) => {
+        if (e.target === e.currentTarget) setIsCaretActive(false);
+    };
+
+    // --- Keyboard Shortcuts ---
+    // utils/keyboard decides what a key means; this carries it out.
+    const runKeyAction = (action) => {
+        switch (action.type) {
+            case 'undo': handleUndo(); break;
+            case 'redo': handleRedo(); break;
+            case 'copyRow': handleCopyRow(lines.find(l => l.id === selectedChord.lineId)); break;
+            case 'pasteRow': handlePasteRow(selectedChord.lineId); break;
+            case 'selectAdjacentChord': setSelectedChord(getAdjacentChord(lines, selectedChord, action.direction)); break;
+            case 'nudgeChord': handleNudgeChord(action.direction); break;
+            case 'selectNearbyChord': setSelectedChord(getChordOnNearbyLine(lines, selectedChord, action.direction)); break;
+            case 'deleteChord': handleDeleteChord(); break;
+            case 'editChord': {
+                const input = document.getElementById(POPOVER_INPUT_ID);
+                if (input) input.select();
+                break;
             }
+            case 'deselectChord': setSelectedChord(null); break;
+            case 'placeAtCaret':
+                if (action.arm) armChord(action.chord);
+                placeChordAtCaret(action.chord);
+                break;
+            case 'moveCaret': moveCaretBy(action.move); break;
+            case 'deleteAtCaret': deleteChordAtCaret(); break;
+            case 'announce': setAnnouncement(action.message); break;
+            case 'toggleArm': toggleArmChord(action.chord); break;
+            case 'disarm': setArmedChord(null); break;
+            default: break;
+        }
+    };
+
+    useEffect(() => {
+        // Performance mode has its own keys.
+        if (performing) return undefined;
+        const handleKeyDown = (e) => {
+            const selection = window.getSelection();
+            const action = getKeyAction(e, {
+                isTyping: ['SELECT', 'TEXTAREA', 'INPUT'].includes(e.target.tagName),
+                hasTextSelection: !!selection && !selection.isCollapsed && !e.target.closest?.('.chord-editor'),
+                editorStep,
+                hasSelectedChord: !!selectedChord,
+                isCaretActive,
+                hasCopiedRow: !!copiedRow,
+                armedChord,
+                chords: diatonicChords.map(c => c.name),
+                sevenths: diatonicSevenths.map(c => c.name),
+            });
+            if (!action) return;
+            e.preventDefault();
+            runKeyAction(action);
         };
         document.addEventListener('keydown', handleKeyDown);
         return () => document.removeEventListener('keydown', handleKeyDown);
-    }, [armedChord, diatonicChords]);
+    });
 
     const showToast = (message) => {
         setToast({ show: true, message });
         setTimeout(() => setToast({ show: false, message: '' }), 2000);
     };
 
-    const toggleArmChord = (chordName) => {
-        setArmedChord(prev => (prev === chordName ? null : chordName));
-    };
-
     const handleLineClick = (e, lineId) => {
+        if (selectedChord) {
+            setSelectedChord(null);
+            return;
+        }
         if (!armedChord) return;
         const rect = e.currentTarget.getBoundingClientRect();
-        const position = e.clientX - rect.left;
-        setLines(prevLines => prevLines.map(line => 
-            line.id === lineId ? { ...line, chords: [...line.chords, { id: Date.now(), text: armedChord, position }] } : line
-        ));
+        const index = offsetToCharIndex(e.clientX - rect.left, measureCharWidth(e.currentTarget));
+        recordHistory();
+        dispatchSheet({ type: 'place', id: createId(), lineId, text: armedChord, index });
+        setCaret({ lineId, index });
+    };
+
+    const handleSelectChord = (lineId, chordId) => {
+        const isSame = selectedChord && lineId !== null && selectedChord.lineId === lineId && selectedChord.chordId === chordId;
+        setSelectedChord(lineId === null || isSame ? null : { lineId, chordId });
+        if (lineId !== null && !isSame) {
+            const chord = findChord(lines, lineId, chordId);
+            if (chord) previewChord(chord.text);
+        }
+    };
+
+    const handleMoveChord = (lineId, chordId, targetLineKey, index) => {
+        const targetLine = lines.find(l => String(l.id) === targetLineKey) || lines.find(l => l.id === lineId);
+        recordHistory();
+        dispatchSheet({ type: 'move', lineId, chordId, toLineId: targetLine.id, index });
+        setSelectedChord({ lineId: targetLine.id, chordId });
     };
 
-    const handleChordClick = (e, lineId, chordId) => {
-        e.stopPropagation();
-        setLines(prevLines => prevLines.map(line => 
-            line.id === lineId ? { ...line, chords: line.chords.filter(c => c.id !== chordId) } : line
-        ));
+    const handleReplaceChord = (text) => {
+        recordHistory();
+        dispatchSheet({ type: 'replace', ...selectedChord, text });
+    };
+
+    const handleNudgeChord = (amount) => {
+        recordHistory();
+        dispatchSheet({ type: 'nudge', ...selectedChord, amount });
+    };
+
+    const handleDeleteChord = () => {
+        const next = getAdjacentChord(lines, selectedChord, 1);
+        const isLast = next.chordId === selectedChord.chordId;
+        recordHistory();
+        dispatchSheet({ type: 'remove', ...selectedChord });
+        setSelectedChord(isLast ? null : next);
+    };
+
+    const handleCopyRow = (line) => {
+        const row = copyChordRow(line);
+        setCopiedRow(row);
+        showToast(`Copied ${row.length} chord${row.length === 1 ? '' : 's'}.`);
+    };
+
+    const handlePasteRow = (lineId) => {
+        recordHistory();
+        dispatchSheet({ type: 'pasteRow', lineId, row: copiedRow, ids: copiedRow.map(() => createId()) });
+        setSelectedChord(null);
     };
 
     const clearEditor = () => {
-        setLyrics('');
-        setLines([]);
+        recordHistory();
+        dispatchSheet({ type: 'clear' });
         setArmedChord(null);
-        setEditorStep('lyrics');
-        localStorage.removeItem(LOCAL_STORAGE_KEY);
-        showToast("Cleared and removed saved data.");
+        setSelectedChord(null);
+        showToast("Cleared the sheet. Press Ctrl+Z to undo.");
     };
 
-    const lockLyrics = () => {
-        const lyricLines = lyrics.split('\n');
-        const newLines = lyricLines.map((text, index) => {
-            const existingLine = lines.find(l => l.id === index);
-            return {
-                id: index,
-                text,
-                chords: existingLine ? existingLine.chords : []
-            };
+    // --- Harmonic Analysis ---
+    const saveDisplaySetting = (key, value) => {
+        setSetting(key, value).catch(error => console.error("Failed to save display setting", error));
+    };
+
+    const handleShowNumeralsChange = (checked) => {
+        setShowNumerals(checked);
+        saveDisplaySetting('showNumerals', checked);
+    };
+
+    const handleNashvilleChange = (checked) => {
+        setUseNashville(checked);
+        saveDisplaySetting('nashvilleNumbers', checked);
+    };
+
+    const handleShowShapesChange = (isShapes) => {
+        setShowShapes(isShapes);
+        saveDisplaySetting('showShapes', isShapes);
+    };
+
+    // --- Playback ---
+    const previewChord = (chordName) => {
+        if (chordSounds) playChord(chordName);
+    };
+
+    // The output panel may show capo shapes or numbers; what sounds is always the concert chord.
+    // With chord sounds off its chords aren't clickable at all.
+    const playPlacedChord = (lineId, chordId) => {
+        const chord = findChord(lines, lineId, chordId);
+        if (chord) previewChord(chord.text);
+    };
+    const outputPlayChord = chordSounds ? playPlacedChord : undefined;
+
+    const handleChordSoundsChange = (checked) => {
+        setChordSounds(checked);
+        saveDisplaySetting('chordSounds', checked);
+    };
+
+    const handlePlayTempoChange = (tempo) => {
+        setPlayTempo(tempo);
+        saveDisplaySetting('playTempo', tempo);
+    };
+
+    const handleBeatsPerChordChange = (beats) => {
+        setBeatsPerChord(beats);
+        saveDisplaySetting('playBeats', beats);
+    };
+
+    const stopPlayAlong = () => {
+        if (stopPlayAlongRef.current) stopPlayAlongRef.current();
+        stopPlayAlongRef.current = null;
+        setIsPlayingAlong(false);
+        setPlayingRow(null);
+    };
+
+    const togglePlayAlong = () => {
+        if (isPlayingAlong) {
+            stopPlayAlong();
+            return;
+        }
+        if (!isAudioSupported()) {
+            showToast("This browser can't play sound.");
+            return;
+        }
+        // Played from the concert chords, through the same arrangement as the final sheet.
+        const steps = getPlayAlongSteps(resolveArrangement(getSections(lines), arrangement), { tempo: playTempo, beatsPerChord });
+        if (steps.length === 0) {
+            showToast('Place some chords to play along.');
+            return;
+        }
+        setIsPlayingAlong(true);
+        stopPlayAlongRef.current = playProgression(steps, {
+            onStep: step => setPlayingRow(step.rowKey),
+            onEnd: () => {
+                stopPlayAlongRef.current = null;
+                setIsPlayingAlong(false);
+                setPlayingRow(null);
+            },
         });
-        setLines(newLines);
-        setEditorStep('chords');
+    };
+
+    const getCurrentSongContent = () => getSongContent({ ...songMeta, ...sheet, scrollSpeed });
+
+    // --- Performance Mode ---
+    // `performing` holds the setlist entries being played ({ songId, keyOverride }) while the
+    // performance view is open. The open song is shown as edited, the rest as saved.
+    const performanceQueue = performing ? performing.entries
+        .map(entry => ({
+            song: entry.songId === currentSongId
+                ? { ...getCurrentSongContent(), id: currentSongId }
+                : songs.find(song => song.id === entry.songId),
+            keyOverride: entry.keyOverride,
+        }))
+        .filter(entry => entry.song) : [];
+
+    const performSong = () => setPerforming({ entries: [{ songId: currentSongId, keyOverride: null }], startIndex: 0 });
+
+    const handlePerformSetlist = (setlist) => {
+        if (!setlist.songs.some(entry => songs.some(song => song.id === entry.songId))) {
+            showToast('Add some songs to the setlist first.');
+            return;
+        }
+        setShowLibrary(false);
+        setPerforming({ entries: setlist.songs, startIndex: 0 });
+    };
+
+    const handlePerformanceFontSizeChange = (fontSize) => {
+        setPerformanceFontSize(fontSize);
+        saveDisplaySetting('performanceFontSize', fontSize);
+    };
+
+    const handleHighContrastChange = (checked) => {
+        setHighContrast(checked);
+        saveDisplaySetting('highContrast', checked);
+    };
+
+    // Autoscroll speed is saved with the song, so each song keeps its own.
+    const handleScrollSpeedChange = async (song, speed) => {
+        if (song.id === currentSongId) {
+            setScrollSpeed(speed);
+            return;
+        }
+        const updated = { ...song, scrollSpeed: speed, updatedAt: Date.now() };
+        setSongs(prevSongs => prevSongs.map(s => (s.id === song.id ? updated : s)));
+        try {
+            await put(STORES.songs, updated);
+        } catch (error) {
+            console.error("Failed to save song", error);
+        }
+    };
+
+    // --- Chord Diagrams ---
+    const handleDiagramInstrumentChange = (instrument) => {
+        setDiagramInstrument(instrument);
+        setVoicingChoices({});
+        saveDisplaySetting('diagramInstrument', instrument);
+    };
+
+    const handleDiagramPrintChange = (position) => {
+        setDiagramPrint(position);
+        saveDisplaySetting('diagramPrint', position);
+    };
+
+    const handleVoicingChange = (chordName, choice) => {
+        setVoicingChoices(prevChoices => ({ ...prevChoices, [chordName]: choice }));
+    };
+
+    // Renders the diagrams to static markup for the print window, loading the renderer on demand.
+    const renderDiagramsForPrint = async () => {
+        const { renderToStaticMarkup } = await import('react-dom/server');
+        return renderToStaticMarkup(
+            <>
+                {diagramChords.map(name => {
+                    const voicings = getVoicings(name, diagramInstrument);
+                    if (voicings.length === 0) return null;
+                    const voicing = voicings[Math.min(voicingChoices[name] || 0, voicings.length - 1)];
+                    return <ChordDiagram key={name} name={name} instrument={diagramInstrument} voicing={voicing} />;
+                })}
+            </>
+        );
+    };
+
+    const handleCapoChange = (fret) => {
+        recordHistory();
+        dispatchSheet({ type: 'setCapo', capo: fret });
+    };
+
+    const applyDetectedKey = () => {
+        recordHistory();
+        dispatchSheet({ type: 'setKey', ...detectedKey });
+    };
+
+    // --- Sections ---
+    const handleAddSection = (lineId) => {
+        const name = window.prompt('Section name', 'Chorus');
+        if (!name || !name.trim()) return;
+        recordHistory();
+        dispatchSheet({ type: 'addSection', lineId, name: name.trim() });
+        setSelectedChord(null);
+    };
+
+    const handleArrangementChange = (keys) => {
+        recordHistory();
+        dispatchSheet({ type: 'setArrangement', arrangement: keys });
+    };
+
+    const addSongToLibrary = async (song) => {
+        await put(STORES.songs, song);
+        setSongs(prevSongs => [...prevSongs, song]);
+    };
+
+    const handleNewSong = async () => {
+        try {
+            const song = createSong();
+            await addSongToLibrary(song);
+            applySong(song);
+            setShowLibrary(false);
+        } catch (error) {
+            console.error("Failed to create song", error);
+            showToast('Failed to create song.');
+        }
+    };
+
+    const handleOpenSong = (song) => {
+        if (song.id !== currentSongId) applySong(song);
+        setShowLibrary(false);
+    };
+
+    const handleRenameSong = async (song, title) => {
+        if (song.id === currentSongId) {
+            setSongMeta(prevMeta => ({ ...prevMeta, title }));
+            return;
+        }
+        try {
+            const renamed = { ...song, title, updatedAt: Date.now() };
+            await put(STORES.songs, renamed);
+            setSongs(prevSongs => prevSongs.map(s => (s.id === song.id ? renamed : s)));
+        } catch (error) {
+            console.error("Failed to rename song", error);
+            showToast('Failed to rename song.');
+        }
+    };
+
+    const handleDuplicateSong = async (song) => {
+        try {
+            await addSongToLibrary(duplicateSong(song));
+            showToast(`Duplicated "${getSongTitle(song)}"`);
+        } catch (error) {
+            console.error("Failed to duplicate song", error);
+            showToast('Failed to duplicate song.');
+        }
+    };
+
+    const handleSaveSetlist = async (setlist) => {
+        try {
+            const updated = { ...setlist, updatedAt: Date.now() };
+            await put(STORES.setlists, updated);
+            setSetlists(prevSetlists => (prevSetlists.some(s => s.id === updated.id)
+                ? prevSetlists.map(s => (s.id === updated.id ? updated : s))
+                : [...prevSetlists, updated]));
+        } catch (error) {
+            console.error("Failed to save setlist", error);
+            showToast('Failed to save setlist.');
+        }
+    };
+
+    const handleDeleteSetlist = async (setlist) => {
+        if (!window.confirm(`Delete the setlist "${setlist.name}"? Its songs stay in the library.`)) return;
+        try {
+            await remove(STORES.setlists, setlist.id);
+            setSetlists(prevSetlists => prevSetlists.filter(s => s.id !== setlist.id));
+        } catch (error) {
+            console.error("Failed to delete setlist", error);
+            showToast('Failed to delete setlist.');
+        }
+    };
+
+    const handleDeleteSong = async (song) => {
+        if (!window.confirm(`Delete "${getSongTitle(song)}"? This can't be undone.`)) return;
+        try {
+            await remove(STORES.songs, song.id);
+            clearSessionHistory(song.id);
+            const remainingSongs = songs.filter(s => s.id !== song.id);
+            setSongs(remainingSongs);
+            for (const setlist of setlists.filter(s => s.songs.some(entry => entry.songId === song.id))) {
+                await handleSaveSetlist({ ...setlist, songs: setlist.songs.filter(entry => entry.songId !== song.id) });
+            }
+            if (song.id === currentSongId) {
+                if (remainingSongs.length > 0) {
+                    applySong(remainingSongs[0]);
+                } else {
+                    const blankSong = createSong();
+                    await addSongToLibrary(blankSong);
+                    applySong(blankSong);
+                }
+            }
+        } catch (error) {
+            console.error("Failed to delete song", error);
+            showToast('Failed to delete song.');
+        }
+    };
+
+    // Chords follow their lines through lyric edits; only a deleted line's chords are lost.
+    const lockLyrics = () => {
+        const orphaned = findOrphanedChords(sheet);
+        if (orphaned.length > 0) {
+            const list = orphaned.map(line => `${line.chords.map(c => c.text).join(' ')} over "${line.text.trim() || '(blank line)'}"`).join('\n');
+            if (!window.confirm(`These chords are on lines you deleted and will be removed:\n\n${list}\n\nAdd chords anyway? You can undo this.`)) return;
+        }
+        recordHistory();
+        dispatchSheet({ type: 'lock' });
     };
 
     const unlockLyrics = () => {
-        const currentLyrics = lines.map(line => line.text).join('\n');
-        setLyrics(currentLyrics);
-        setEditorStep('lyrics');
+        recordHistory();
+        dispatchSheet({ type: 'unlock' });
+        setSelectedChord(null);
+    };
+
+    // Import into the open song only when it's still blank; otherwise start a new one. The import
+    // handlers resolve to whether anything was imported, so the dialog knows to keep the text.
+    const openImportedSong = async (fields, message) => {
+        try {
+            const isBlank = !lyrics.trim() && lines.every(line => !line.text && line.chords.length === 0);
+            const song = isBlank
+                ? { ...getSongContent({ ...songMeta, ...fields }), id: currentSongId, createdAt: songMeta.createdAt }
+                : createSong(fields);
+            if (!isBlank) await addSongToLibrary(song);
+            applySong(song);
+            // The blank song hasn't been written with the imported sheet yet, so let auto-save do it.
+            if (isBlank) lastSavedRef.current = null;
+            setShowImport(false);
+            showToast(message);
+            return true;
+        } catch (error) {
+            console.error("Failed to import", error);
+            showToast('Import failed.');
+            return false;
+        }
     };
 
+    // Songs and setlists in both the library and the backup are replaced by the backup's copy;
+    // everything else in the library is kept.
+    const restoreBackup = async (backup) => {
+        if (!window.confirm(`Restore ${backup.songs.length} songs and ${backup.setlists.length} setlists from this backup? Songs and setlists you already have are replaced by the backup's copy.`)) return false;
+        const mergeById = (current, restored) => [...current.filter(item => !restored.some(r => r.id === item.id)), ...restored];
+        try {
+            for (const song of backup.songs) await put(STORES.songs, song);
+            for (const setlist of backup.setlists) await put(STORES.setlists, setlist);
+            setSongs(prevSongs => mergeById(prevSongs, backup.songs));
+            setSetlists(prevSetlists => mergeById(prevSetlists, backup.setlists));
+            const restoredCurrentSong = backup.songs.find(song => song.id === currentSongId);
+            if (restoredCurrentSong) applySong(restoredCurrentSong);
+            setShowImport(false);
+            showToast(`Restored ${backup.songs.length} songs from the backup.`);
+            return true;
+        } catch (error) {
+            console.error("Failed to restore backup", error);
+            showToast('Restore failed.');
+            return false;
+        }
+    };
+
+    const importSongDocument = async (text) => {
+        const result = parseSongDocument(text);
+        if (result.error) {
+            showToast(result.error);
+            return false;
+        }
+        if (result.kind === 'backup') return restoreBackup(result);
+        const [song] = result.songs;
+        return openImportedSong(song, song.title ? `Imported "${song.title}"` : 'Imported song.');
+    };
+
+    // The link is cleared once the song is in the library, so a reload doesn't add it twice.
+    const openSharedSong = async (hash) => {
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+        const result = readShareHash(hash);
+        if (result.error || result.kind !== 'song') {
+            showToast(result.error || 'This link holds a backup, not a song.');
+            return;
+        }
+        const [song] = result.songs;
+        await openImportedSong(song, `Opened "${getSongTitle(song)}" from a share link.`);
+    };
+
+    const handleImport = async (text) => {
+        // Exported songs and backups are JSON; anything else is read as a chord sheet.
+        if (isSongDocument(text)) return importSongDocument(text);
+        const sheet = parseChordSheet(text);
+        if (sheet.lines.length === 0) {
+            showToast('Nothing to import.');
+            return false;
+        }
+        const importedKey = sheet.key || sheetKey;
+        const importedAt = Date.now();
+        // Songs are stored in concert pitch, so a capo sheet's shapes are moved up by the capo.
+        const newLines = fromShapeLines(sheet.lines, importedKey, sheet.capo || 0).map((line, index) => ({
+            id: index,
+            text: line.text,
+            chords: line.chords.map((chord, i) => ({
+                id: `${importedAt}-${index}-${i}`,
+                text: chord.text,
+                index: chord.index
+            }))
+        }));
+        const importedFields = {
+            title: sheet.title || '',
+            artist: sheet.artist || '',
+            scaleKey: importedKey.scaleKey,
+            scaleType: importedKey.scaleType,
+            lines: newLines,
+            lyrics: newLines.map(line => line.text).join('\n'),
+            editorStep: 'chords',
+            arrangement: null,
+            capo: sheet.capo || 0
+        };
+        return openImportedSong(importedFields, sheet.title ? `Imported "${sheet.title}"` : 'Imported chord sheet.');
+    };
+
+    latestHandlersRef.current = { handleImport, openSharedSong };
+
     const handleTranspose = (amount) => {
-        setLines(prevLines => prevLines.map(line => ({
-            ...line,
-            chords: line.chords.map(c => ({ ...c, text: transposeChord(c.text, amount) }))
-        })));
-        setScaleKey(prevKey => transposeChord(prevKey, amount));
-    };
-
-    const flattenForExport = useCallback(() => {
-        let text = '';
-        lines.forEach(line => {
-            let chordLineText = '';
-            const sortedChords = [...line.chords].sort((a, b) => a.position - b.position);
-            let lastCharIndex = 0;
-            sortedChords.forEach(chord => {
-                const charIndex = Math.round(chord.position / charWidthRef.current);
-                const spaces = Math.max(0, charIndex - lastCharIndex);
-                chordLineText += ' '.repeat(spaces) + chord.text;
-                lastCharIndex = charIndex + chord.text.length;
-            });
-            text += chordLineText + '\n';
-            text += line.text + '\n';
-        });
-        return text;
-    }, [lines]);
+        const unrecognized = getUntransposableChords(lines);
+        recordHistory();
+        dispatchSheet({ type: 'transpose', amount });
+        if (unrecognized.length > 0) showToast(`Not transposed (unrecognized): ${unrecognized.join(', ')}`);
+    };
+
+    // Exports name the capo only when they show the shapes played behind it.
+    const exportCapo = isShapesView ? capo : 0;
 
-    const copyToClipboard = () => {
-        const textToCopy = flattenForExport();
+    const exportSheet = async (format) => {
+        setShowExportMenu(false);
+        const meta = { title: songMeta.title, key: sheetKey, capo: exportCapo };
+        const arrangedLines = arrangeLines(sheetLines, arrangement);
+        try {
+            if (format === 'chordpro') {
+                downloadFile(toFileName(songMeta.title, 'cho'), toChordPro(arrangedLines, meta));
+            } else if (format === 'markdown') {
+                downloadFile(toFileName(songMeta.title, 'md'), toMarkdown(arrangedLines, meta), 'text/markdown');
+            } else if (format === 'pdf') {
+                const { createPdf } = await import('./utils/pdfExport');
+                createPdf(arrangedLines, meta).save(toFileName(songMeta.title, 'pdf'));
+            } else if (format === 'json') {
+                downloadFile(toFileName(songMeta.title, 'json'), JSON.stringify(toSongDocument(getCurrentSongContent()), null, 2), 'application/json');
+            } else if (format === 'backup') {
+                const date = new Date().toISOString().slice(0, 10);
+                downloadFile(`onlychords-backup-${date}.json`, JSON.stringify(toBackupDocument(songs, setlists), null, 2), 'application/json');
+            }
+        } catch (error) {
+            console.error("Failed to export", error);
+            showToast('Export failed.');
+        }
+    };
+
+    const copyText = (textToCopy, successMessage) => {
         const textArea = document.createElement('textarea');
         textArea.value = textToCopy;
         textArea.style.position = 'fixed';
@@ -309,33 +911,99 @@ export default function App() {
         textArea.select();
         try {
             document.execCommand('copy');
-            showToast('Copied to clipboard!');
+            showToast(successMessage);
         } catch (err) {
             showToast('Failed to copy.');
         }
         document.body.removeChild(textArea);
     };
 
-    const printSheet = () => {
-        const printContent = flattenForExport().replace(/\n/g, '<br>');
+    const copyToClipboard = () => copyText(flattenForExport(sheetLines, { arrangement, capo: exportCapo }), 'Copied to clipboard!');
+
+    const copyShareLink = () => copyText(toShareUrl(getCurrentSongContent(), window.location.href), 'Share link copied! Anyone who opens it gets a copy of this song.');
+
+    const printSheet = async () => {
+        // Open the window straight away, while the click still counts as a user gesture.
         const printWindow = window.open('', '_blank');
-        printWindow.document.write(`<html><head><title>Chord Sheet</title><style>body { font-family: 'Inconsolata', monospace; white-space: pre; font-size: 1rem; line-height: 1.8; }</style></head><body>${printContent}</body></html>`);
+        const capoLine = exportCapo ? `<span class="capo">Capo ${exportCapo}</span>\n\n` : '';
+        let printContent = (capoLine + toHtml(arrangeLines(sheetLines, arrangement))).replace(/\n/g, '<br>');
+        if (diagramPrint !== 'none' && diagramChords.length > 0) {
+            try {
+                const diagrams = `<div class="diagrams">${await renderDiagramsForPrint()}</div>`;
+                printContent = diagramPrint === 'top' ? diagrams + printContent : printContent + diagrams;
+            } catch (error) {
+                console.error("Failed to render chord diagrams", error);
+                showToast('Printing without chord diagrams.');
+            }
+        }
+        printWindow.document.write(`<html><head><title>Chord Sheet</title><style>body { font-family: 'Inconsolata', monospace; white-space: pre; font-size: 1rem; line-height: 1.8; } .chords { font-weight: bold; color: #c026d3; } .capo { font-family: sans-serif; font-weight: bold; } .section { font-family: sans-serif; font-weight: bold; text-transform: uppercase; letter-spacing: 0.05em; color: #1d4ed8; } .diagrams { white-space: normal; display: flex; flex-wrap: wrap; gap: 12px; margin: 12px 0; line-height: normal; } .diagrams svg { break-inside: avoid; }</style></head><body>${printContent}</body></html>`);
         printWindow.document.close();
         printWindow.focus();
         setTimeout(() => { printWindow.print(); printWindow.close(); }, 250);
     };
 
+    const chordEditing = {
+        selection: selectedChord,
+        armedChord,
+        copiedRow,
+        onSelectChord: handleSelectChord,
+        onMoveChord: handleMoveChord,
+        onReplaceChord: handleReplaceChord,
+        onNudgeChord: handleNudgeChord,
+        onDeleteChord: handleDeleteChord,
+        onCopyRow: handleCopyRow,
+        onPasteRow: handlePasteRow,
+        onAddSection: handleAddSection
+    };
+
     return (
         <div className="bg-gray-100 dark:bg-black text-gray-800 dark:text-gray-200 p-4 md:p-8 min-h-screen transition-colors duration-300">
             <Toast message={toast.message} show={toast.show} />
+            {updateRegistration && updateRegistration !== dismissedUpdate && (
+                <UpdatePrompt onReload={() => applyUpdate(updateRegistration)} onDismiss={() => setDismissedUpdate(updateRegistration)} />
+            )}
             <HowToModal show={showHowTo} onClose={() => setShowHowTo(false)} />
+            <ImportModal show={showImport} onClose={() => setShowImport(false)} onImport={handleImport} />
+            <LibraryPanel
+                show={showLibrary}
+                onClose={() => setShowLibrary(false)}
+                songs={songs}
+                setlists={setlists}
+                currentSongId={currentSongId}
+                onOpenSong={handleOpenSong}
+                onNewSong={handleNewSong}
+                onRenameSong={handleRenameSong}
+                onDuplicateSong={handleDuplicateSong}
+                onDeleteSong={handleDeleteSong}
+                onCreateSetlist={name => handleSaveSetlist(createSetlist(name))}
+                onSaveSetlist={handleSaveSetlist}
+                onDeleteSetlist={handleDeleteSetlist}
+                onPerformSetlist={handlePerformSetlist}
+            />
+            {performanceQueue.length > 0 && (
+                <PerformanceView
+                    queue={performanceQueue}
+                    startIndex={performing.startIndex}
+                    showShapes={showShapes}
+                    useNashville={useNashville}
+                    fontSize={performanceFontSize}
+                    onFontSizeChange={handlePerformanceFontSizeChange}
+                    highContrast={highContrast}
+                    onHighContrastChange={handleHighContrastChange}
+                    onScrollSpeedChange={handleScrollSpeedChange}
+                    onClose={() => setPerforming(null)}
+                />
+            )}
             <div className="max-w-7xl mx-auto">
                 <header className="relative text-center mb-8">
                     <h1 className="text-4xl font-bold text-gray-900 dark:text-white">
                         Only<span className="bg-gradient-to-r from-purple-600 to-blue-500 text-transparent bg-clip-text bg-[length:200%_auto] animate-gradient-flow">Chords</span>
                     </h1>
                     <p className="text-lg text-gray-600 dark:text-gray-400 mt-2">A modern tool for musicians.</p>
-                    <div className="absolute top-0 right-0">
+                    <div className="absolute top-0 right-0 flex gap-2">
+                        <button onClick={() => setShowLibrary(true)} title="Song library" className="p-2 rounded-full bg-gray-200 dark:bg-gray-800 text-gray-800 dark:text-gray-200">
+                            <Library size={20} />
+                        </button>
                         <button onClick={() => setIsDarkMode(!isDarkMode)} className="p-2 rounded-full bg-gray-200 dark:bg-gray-800 text-gray-800 dark:text-gray-200">
                             {isDarkMode ? <Sun size={20} /> : <Moon size={20} />}
                         </button>
@@ -348,19 +1016,74 @@ export default function App() {
                         <div className="controls-section mb-6 p-4 bg-gray-50 dark:bg-black/50 rounded-lg border border-gray-200 dark:border-gray-700">
                             <h3 className="text-lg font-semibold mb-3">Settings</h3>
                             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                <div className="md:col-span-2">
+                                    <label className="block text-sm font-medium mb-1">Song Title</label>
+                                    <input type="text" value={songMeta.title} onChange={e => setSongMeta({ ...songMeta, title: e.target.value })} placeholder="Untitled" className="w-full p-2 border bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md shadow-sm" />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium mb-1">Artist</label>
+                                    <input type="text" value={songMeta.artist} onChange={e => setSongMeta({ ...songMeta, artist: e.target.value })} className="w-full p-2 border bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md shadow-sm" />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium mb-1">Tags</label>
+                                    <input type="text" value={tagsInput} onChange={e => setTagsInput(e.target.value)} onBlur={() => setSongMeta({ ...songMeta, tags: parseTags(tagsInput) })} placeholder="worship, upbeat" className="w-full p-2 border bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md shadow-sm" />
+                                </div>
                                 <div>
                                     <label className="block text-sm font-medium mb-1">Root Note</label>
-                                    <select value={scaleKey} onChange={e => setScaleKey(e.target.value)} className="w-full p-2 border bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md shadow-sm">
+                                    <select value={scaleKey} onChange={e => { recordHistory(); dispatchSheet({ type: 'setKey', scaleKey: e.target.value }); }} className="w-full p-2 border bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md shadow-sm">
                                         {NOTES.map(n => <option key={n} value={n}>{n}</option>)}
                                     </select>
                                 </div>
                                 <div>
                                     <label className="block text-sm font-medium mb-1">Scale Type</label>
-                                    <select value={scaleType} onChange={e => setScaleType(e.target.value)} className="w-full p-2 border bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md shadow-sm">
-                                        <option value="major">Major</option>
-                                        <option value="minor">Minor</option>
+                                    <select value={scaleType} onChange={e => { recordHistory(); dispatchSheet({ type: 'setKey', scaleType: e.target.value }); }} className="w-full p-2 border bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md shadow-sm">
+                                        {SCALE_TYPES.map(scale => <option key={scale.value} value={scale.value}>{scale.label}</option>)}
                                     </select>
                                 </div>
+                                <div>
+                                    <label className="block text-sm font-medium mb-1">Capo</label>
+                                    <select value={capo} onChange={e => handleCapoChange(Number(e.target.value))} className="w-full p-2 border bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md shadow-sm">
+                                        {Array.from({ length: MAX_CAPO + 1 }, (_, fret) => (
+                                            <option key={fret} value={fret}>{fret === 0 ? 'No capo' : `Capo ${fret} (${formatScaleName(getShapeKey(sheetKey, fret))} shapes)`}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium mb-1">Easiest Capo Positions</label>
+                                    {capoSuggestions.length === 0 ? (
+                                        <p className="text-sm text-gray-500 dark:text-gray-400 italic py-2">Place some chords first.</p>
+                                    ) : (
+                                        <div className="flex flex-wrap gap-2">
+                                            {capoSuggestions.map(suggestion => (
+                                                <button
+                                                    key={suggestion.capo}
+                                                    onClick={() => handleCapoChange(suggestion.capo)}
+                                                    title={`${suggestion.openShapes} of ${suggestion.total} chords become open shapes`}
+                                                    className={`px-2 py-1.5 rounded-md text-sm font-semibold border ${suggestion.capo === capo ? 'border-blue-500 text-blue-600 dark:text-blue-400' : 'border-gray-300 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                                                >
+                                                    {suggestion.capo === 0 ? 'No capo' : `Capo ${suggestion.capo}`} · {suggestion.openShapes}/{suggestion.total} open
+                                                </button>
+                                            ))}
+                                        </div>
+                                    )}
+                                </div>
+                                <div className="md:col-span-2">
+                                    <label className="block text-sm font-medium mb-1">Harmony</label>
+                                    <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-sm">
+                                        {!detectedKey ? (
+                                            <span className="text-gray-500 dark:text-gray-400 italic">Place some chords to detect the key.</span>
+                                        ) : detectedKey.scaleKey === scaleKey && detectedKey.scaleType === scaleType ? (
+                                            <span className="text-gray-600 dark:text-gray-400">{Math.round(detectedKey.fit * 100)}% of chords fit {formatKeyName(detectedKey)}.</span>
+                                        ) : (
+                                            <span className="flex items-center gap-2 text-gray-600 dark:text-gray-400">
+                                                Chords suggest <strong className="text-gray-800 dark:text-gray-200">{formatKeyName(detectedKey)}</strong>
+                                                <button onClick={applyDetectedKey} className="px-2 py-0.5 rounded-md font-semibold bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600">Use</button>
+                                            </span>
+                                        )}
+                                        <label className="flex items-center gap-1.5"><input type="checkbox" checked={showNumerals} onChange={e => handleShowNumeralsChange(e.target.checked)} /> Roman numerals</label>
+                                        <label className="flex items-center gap-1.5"><input type="checkbox" checked={useNashville} onChange={e => handleNashvilleChange(e.target.checked)} /> Nashville numbers</label>
+                                    </div>
+                                </div>
                                 <div className="md:col-span-2">
                                     <label className="block text-sm font-medium mb-1">Transpose Chords</label>
                                     <div className="flex gap-2">
@@ -384,13 +1107,41 @@ export default function App() {
                                         <div className="flex flex-wrap gap-2 p-4 pt-2 min-h-[50px]">
                                             {diatonicChords.map((c, i) => <ChordButton key={c.name} chord={c} index={i} onArm={toggleArmChord} isActive={armedChord === c.name} />)}
                                         </div>
-                                        <div className={`transition-all duration-300 ease-in-out overflow-hidden ${showExtraChords ? 'max-h-96' : 'max-h-0'}`}>
+                                        <div className="flex flex-wrap gap-2 px-4 pb-4" title="Shift + 1-7">
+                                            {diatonicSevenths.map(c => <ChordButton key={c.name} chord={c} onArm={toggleArmChord} isActive={armedChord === c.name} />)}
+                                        </div>
+                                        {borrowedChords.length > 0 && (
+                                            <div className="flex flex-wrap items-center gap-2 px-4 pb-4" title="Common chords borrowed from the parallel major or minor">
+                                                <span className="text-xs font-semibold text-gray-600 dark:text-gray-400 w-20">Borrowed</span>
+                                                {borrowedChords.map(c => <ChordButton key={c.name} chord={c} onArm={toggleArmChord} isActive={armedChord === c.name} />)}
+                                            </div>
+                                        )}
+                                        {(songChords.length > 0 || recentChords.length > 0) && (
+                                            <div className="border-t border-gray-200 dark:border-gray-700 px-4 py-3 space-y-2">
+                                                {songChords.length > 0 && (
+                                                    <div className="flex flex-wrap items-center gap-2">
+                                                        <span className="text-xs font-semibold text-gray-600 dark:text-gray-400 w-20">In this song</span>
+                                                        {songChords.map(name => <ChordButton key={name} chord={{ name }} onArm={toggleArmChord} isActive={armedChord === name} />)}
+                                                    </div>
+                                                )}
+                                                {recentChords.length > 0 && (
+                                                    <div className="flex flex-wrap items-center gap-2">
+                                                        <span className="text-xs font-semibold text-gray-600 dark:text-gray-400 w-20">Recent</span>
+                                                        {recentChords.map(name => <ChordButton key={name} chord={{ name }} onArm={toggleArmChord} isActive={armedChord === name} />)}
+                                                    </div>
+                                                )}
+                                            </div>
+                                        )}
+                                        <div className={`transition-all duration-300 ease-in-out overflow-hidden ${showExtraChords ? 'max-h-[48rem]' : 'max-h-0'}`}>
                                             <div className="border-t border-gray-200 dark:border-gray-700 p-4">
                                                  <h4 className="text-sm font-semibold mb-2 text-gray-600 dark:text-gray-400">Chromatic Chords</h4>
                                                  <div className="flex flex-wrap gap-2">
                                                     {chromaticChords.map((c) => <ChordButton key={c.name} chord={c} onArm={toggleArmChord} isActive={armedChord === c.name} />)}
                                                  </div>
                                             </div>
+                                            <div className="border-t border-gray-200 dark:border-gray-700 p-4">
+                                                <ChordBuilder scaleKey={scaleKey} scaleType={scaleType} onArm={armChord} />
+                                            </div>
                                         </div>
                                     </div>
                                 </div>
@@ -402,26 +1153,50 @@ export default function App() {
                                 <h3 className="text-lg font-semibold">
                                     {editorStep === 'lyrics' ? 'Step 1: Edit Lyrics' : 'Step 2: Place Chords'}
                                 </h3>
-                                {editorStep === 'lyrics' ? (
-                                    <button onClick={lockLyrics} className="flex items-center gap-2 bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg shadow transition-colors"><Music size={16} /> Add Chords</button>
-                                ) : (
-                                    <button onClick={unlockLyrics} className="flex items-center gap-2 bg-yellow-500 hover:bg-yellow-600 text-white font-bold py-2 px-4 rounded-lg shadow transition-colors"><PenSquare size={16} /> Edit Lyrics</button>
-                                )}
+                                <div className="flex gap-2">
+                                    <button onClick={handleUndo} disabled={!canUndo(history)} title="Undo (Ctrl+Z)" aria-label="Undo" className="p-2 bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 rounded-lg shadow transition-colors disabled:opacity-40 disabled:cursor-not-allowed"><Undo2 size={16} /></button>
+                                    <button onClick={handleRedo} disabled={!canRedo(history)} title="Redo (Ctrl+Shift+Z)" aria-label="Redo" className="p-2 bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 rounded-lg shadow transition-colors disabled:opacity-40 disabled:cursor-not-allowed"><Redo2 size={16} /></button>
+                                    <button onClick={() => setShowImport(true)} className="flex items-center gap-2 bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 font-bold py-2 px-4 rounded-lg shadow transition-colors"><FileUp size={16} /> Import</button>
+                                    {editorStep === 'lyrics' ? (
+                                        <button onClick={lockLyrics} className="flex items-center gap-2 bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg shadow transition-colors"><Music size={16} /> Add Chords</button>
+                                    ) : (
+                                        <button onClick={unlockLyrics} className="flex items-center gap-2 bg-yellow-500 hover:bg-yellow-600 text-white font-bold py-2 px-4 rounded-lg shadow transition-colors"><PenSquare size={16} /> Edit Lyrics</button>
+                                    )}
+                                </div>
                             </div>
                             {editorStep === 'lyrics' ? (
                                 <textarea
                                     value={lyrics}
-                                    onChange={e => setLyrics(e.target.value)}
+                                    onChange={e => dispatchSheet({ type: 'editLyrics', lyrics: e.target.value })}
                                     placeholder="Start typing or paste your lyrics here..."
                                     className="w-full p-4 rounded-lg font-mono text-base bg-white dark:bg-black transition-all duration-300 border-2 border-gray-300 dark:border-gray-700 focus:border-blue-500 focus:shadow-lg focus:outline-none"
                                     style={{ lineHeight: 1.8 }}
                                     rows={15}
                                 />
                             ) : (
-                                <div className={`chord-editor bg-white dark:bg-black transition-all duration-300 border-2 border-gray-300 dark:border-gray-700 focus-within:border-blue-500 focus-within:shadow-lg ${armedChord ? 'armed' : ''} font-mono text-base leading-relaxed`}>
-                                    {lines.map(line => <EditorLine key={line.id} line={line} onLineClick={handleLineClick} onChordClick={handleChordClick} />)}
+                                <div
+                                    className={`chord-editor bg-white dark:bg-black transition-all duration-300 border-2 border-gray-300 dark:border-gray-700 focus-within:border-blue-500 focus-within:shadow-lg focus:outline-none ${armedChord ? 'armed' : ''} font-mono text-base leading-relaxed`}
+                                    role="application"
+                                    aria-label="Chord editor"
+                                    aria-describedby="chord-editor-help"
+                                    tabIndex={0}
+                                    onFocus={handleEditorFocus}
+                                    onBlur={handleEditorBlur}
+                                >
+                                    {lines.map(line => (
+                                        <EditorLine
+                                            key={line.id}
+                                            line={line}
+                                            onLineClick={handleLineClick}
+                                            editing={chordEditing}
+                                            analysisKey={analysisKey}
+                                            caretIndex={isCaretActive && caret && caret.lineId === line.id ? caret.index : null}
+                                        />
+                                    ))}
                                 </div>
                             )}
+                            <p id="chord-editor-help" className="sr-only">Arrow keys, Home and End move the cursor through the lyrics. 1 to 7 place that chord at the cursor, with Shift its seventh. Enter places the armed chord and Delete removes the chord at the cursor.</p>
+                            <div role="status" aria-live="polite" className="sr-only">{announcement}</div>
                         </div>
                     </div>
 
@@ -430,12 +1205,67 @@ export default function App() {
                         <div className="action-buttons mb-4 flex flex-wrap gap-3">
                             <button onClick={copyToClipboard} className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg shadow transition-colors"><Copy size={16} /> Copy</button>
                             <button onClick={printSheet} className="flex items-center gap-2 bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg shadow transition-colors"><Printer size={16} /> Print</button>
+                            <button onClick={copyShareLink} className="flex items-center gap-2 bg-sky-600 hover:bg-sky-700 text-white font-bold py-2 px-4 rounded-lg shadow transition-colors" title="Copy a link that opens this song"><Link size={16} /> Share Link</button>
+                            <button onClick={performSong} className="flex items-center gap-2 bg-gray-800 hover:bg-gray-900 dark:bg-gray-700 dark:hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg shadow transition-colors" title="Full-screen view for the stage"><Maximize2 size={16} /> Perform</button>
+                            <div className="relative">
+                                <button onClick={() => setShowExportMenu(!showExportMenu)} className="flex items-center gap-2 bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-lg shadow transition-colors"><Download size={16} /> Export</button>
+                                {showExportMenu && (
+                                    <div className="absolute left-0 mt-2 w-40 z-20 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg overflow-hidden">
+                                        <button onClick={() => exportSheet('chordpro')} className="block w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700">ChordPro (.cho)</button>
+                                        <button onClick={() => exportSheet('markdown')} className="block w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700">Markdown (.md)</button>
+                                        <button onClick={() => exportSheet('pdf')} className="block w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700">PDF</button>
+                                        <button onClick={() => exportSheet('json')} className="block w-full text-left px-4 py-2 border-t border-gray-200 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700">Song (.json)</button>
+                                        <button onClick={() => exportSheet('backup')} className="block w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700" title="Every song and setlist in the library">Library Backup</button>
+                                    </div>
+                                )}
+                            </div>
                             <button onClick={clearEditor} className="flex items-center gap-2 bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg shadow transition-colors"><Trash2 size={16} /> Clear</button>
                         </div>
-                        <div className="chord-output bg-gray-50 dark:bg-black/50 rounded-lg p-4 font-mono text-base leading-relaxed">
-                           {lines.length > 0 && lines.map(line => <EditorLine key={line.id} line={line} onLineClick={()=>{}} onChordClick={()=>{}} />)}
+                        {hasNamedSections(sections) && (
+                            <ArrangementPanel sections={sections} entries={arrangedSections} isCustom={!!arrangement} onChange={handleArrangementChange} />
+                        )}
+                        {capo > 0 && (
+                            <div className="mb-4 inline-flex rounded-lg border border-gray-300 dark:border-gray-600 overflow-hidden text-sm font-semibold" role="group" aria-label="Chord view">
+                                <button onClick={() => handleShowShapesChange(false)} aria-pressed={!isShapesView} className={`px-3 py-1.5 ${!isShapesView ? 'bg-blue-600 text-white' : 'hover:bg-gray-100 dark:hover:bg-gray-800'}`}>Concert ({formatScaleName(sheetKey)})</button>
+                                <button onClick={() => handleShowShapesChange(true)} aria-pressed={isShapesView} className={`px-3 py-1.5 ${isShapesView ? 'bg-blue-600 text-white' : 'hover:bg-gray-100 dark:hover:bg-gray-800'}`}>Shapes (Capo {capo}, {formatScaleName(getShapeKey(sheetKey, capo))})</button>
+                            </div>
+                        )}
+                        <div className="mb-4 flex flex-wrap items-center gap-x-4 gap-y-2 text-sm">
+                            <button onClick={togglePlayAlong} className="flex items-center gap-2 px-3 py-1.5 rounded-lg font-semibold text-white bg-gradient-to-br from-purple-600 to-blue-500 shadow-sm">
+                                {isPlayingAlong ? <><Square size={14} /> Stop</> : <><Play size={14} /> Play Along</>}
+                            </button>
+                            <label className="flex items-center gap-1.5">
+                                Tempo
+                                <input type="range" min={MIN_TEMPO} max={MAX_TEMPO} step={2} value={playTempo} onChange={e => handlePlayTempoChange(Number(e.target.value))} className="w-28" />
+                                <span className="w-16 tabular-nums">{playTempo} BPM</span>
+                            </label>
+                            <label className="flex items-center gap-1.5">
+                                <select value={beatsPerChord} onChange={e => handleBeatsPerChordChange(Number(e.target.value))} className="p-1 border bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md">
+                                    {BEATS_PER_CHORD_CHOICES.map(beats => <option key={beats} value={beats}>{beats}</option>)}
+                                </select>
+                                beats per chord
+                            </label>
+                            <label className="flex items-center gap-1.5"><input type="checkbox" checked={chordSounds} onChange={e => handleChordSoundsChange(e.target.checked)} /> Hear chords when clicked</label>
+                        </div>
+                        <div className="chord-output bg-gray-50 dark:bg-black/50 rounded-lg p-4 font-mono text-base leading-relaxed" aria-label="Final chord sheet">
+                           {arrangedSections.map((entry, i) => (
+                               <div key={`${entry.key}-${i}`} className={i > 0 && entry.section.header ? 'mt-4' : ''}>
+                                   {entry.section.header && <EditorLine line={entry.section.header} onLineClick={()=>{}} sectionLabel={entry.isRepeat ? getSectionLabel(entry) : undefined} analysisKey={outputAnalysisKey} isPlaying={playingRow === getPlayRowKey(i, entry.section.header.id)} onPlayChord={outputPlayChord} />}
+                                   {entry.section.lines.map(line => <EditorLine key={line.id} line={line} onLineClick={()=>{}} analysisKey={outputAnalysisKey} isPlaying={playingRow === getPlayRowKey(i, line.id)} onPlayChord={outputPlayChord} />)}
+                               </div>
+                           ))}
                            <div className="text-xs text-gray-500 dark:text-gray-400 mt-2 text-right italic">{saveStatus}</div>
+                           {!isPersistentStorage() && <div className="text-xs text-amber-600 dark:text-amber-400 mt-1 text-right">This browser can't store your library, so songs are lost when the page closes. Export a backup to keep them.</div>}
                         </div>
+                        <ChordDiagramPanel
+                            chords={diagramChords}
+                            instrument={diagramInstrument}
+                            onInstrumentChange={handleDiagramInstrumentChange}
+                            voicingChoices={voicingChoices}
+                            onVoicingChange={handleVoicingChange}
+                            printPosition={diagramPrint}
+                            onPrintPositionChange={handleDiagramPrintChange}
+                        />
                     </div>
                 </main>
                 <AppFooter onHowToClick={() => setShowHowTo(true)} />
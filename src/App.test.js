@@ -1,8 +1,242 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, within, fireEvent, waitFor } from '@testing-library/react';
 import App from './App';
+import { STORES, LEGACY_STORAGE_KEY, getAll, put, remove, getSetting } from './utils/storage';
+import { createSong } from './utils/library';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// jsdom has no IndexedDB, so the library lives in the storage module's in-memory store. It's
+// emptied before each test; a test that renders the app twice sees what the first one saved.
+beforeEach(async () => {
+    for (const storeName of Object.values(STORES)) {
+        for (const record of await getAll(storeName)) await remove(storeName, record.id || record.key);
+    }
+    localStorage.clear();
+    sessionStorage.clear();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const renderApp = async () => {
+    const view = render(<App />);
+    await waitFor(async () => expect(await getSetting('currentSongId')).toBeDefined());
+    return view;
+};
+
+// Tests that edit the song end here, so the save finishes while the app is still mounted.
+const waitForAutoSave = () => screen.findByText('Auto-saved');
+
+const typeLyrics = (text) => fireEvent.change(screen.getByPlaceholderText(/start typing/i), { target: { value: text } });
+
+const getChordLine = (lineNumber) => screen.getByLabelText(`Chords over line ${lineNumber}`);
+
+// The chords shown in the editor or the final sheet, in order.
+const getChordNames = (panel) => within(screen.getByLabelText(panel)).queryAllByText(/^[A-G][#b]?m?$/).map(chord => chord.textContent);
+
+// Arms a chord from the palette by its number and clicks it onto the start of a line.
+const placeChord = (number, lineNumber) => {
+    fireEvent.click(screen.getByRole('button', { name: new RegExp(`^${number}\\s*[A-G]`) }));
+    fireEvent.click(getChordLine(lineNumber), { clientX: 0 });
+};
+
+test('lyrics are locked into lines, take chords, and keep them through a lyric edit', async () => {
+    await renderApp();
+    typeLyrics('amazing grace\nhow sweet the sound');
+    fireEvent.click(screen.getByRole('button', { name: /add chords/i }));
+    expect(screen.queryByPlaceholderText(/start typing/i)).not.toBeInTheDocument();
+
+    placeChord(5, 2);
+    expect(getChordNames('Chord editor')).toEqual(['G']);
+    expect(getChordNames('Final chord sheet')).toEqual(['G']);
+
+    fireEvent.click(screen.getByRole('button', { name: /edit lyrics/i }));
+    expect(screen.getByPlaceholderText(/start typing/i)).toHaveValue('amazing grace\nhow sweet the sound');
+    typeLyrics('amazing grace\nhow sweet the sound\nthat saved');
+    fireEvent.click(screen.getByRole('button', { name: /add chords/i }));
+    expect(within(getChordLine(2)).getByText('G')).toBeInTheDocument();
+    expect(getChordLine(3)).toBeInTheDocument();
+    await waitForAutoSave();
+});
+
+test('chords stay on their lines when a line is added above them, and deleting one warns first', async () => {
+    await renderApp();
+    typeLyrics('first line\nsecond line');
+    fireEvent.click(screen.getByRole('button', { name: /add chords/i }));
+    placeChord(5, 2);
+
+    fireEvent.click(screen.getByRole('button', { name: /edit lyrics/i }));
+    typeLyrics('[Intro]\nfirst line\nsecond line');
+    fireEvent.click(screen.getByRole('button', { name: /add chords/i }));
+    expect(within(getChordLine(3)).getByText('G')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /edit lyrics/i }));
+    typeLyrics('[Intro]\nfirst line');
+    jest.spyOn(window, 'confirm').mockReturnValue(false);
+    fireEvent.click(screen.getByRole('button', { name: /add chords/i }));
+    expect(window.confirm).toHaveBeenCalledWith(expect.stringContaining('G over "second line"'));
+    expect(screen.getByPlaceholderText(/start typing/i)).toBeInTheDocument();
+    await waitForAutoSave();
+});
+
+test('chords can be placed and removed from the keyboard, with announcements', async () => {
+    await renderApp();
+    typeLyrics('hello\nall you love');
+    fireEvent.click(screen.getByRole('button', { name: /add chords/i }));
+    const editor = screen.getByRole('application', { name: 'Chord editor' });
+    fireEvent.focus(editor);
+    expect(screen.getByRole('status')).toHaveTextContent("'hello', line 1");
+
+    fireEvent.keyDown(editor, { key: 'ArrowDown' });
+    fireEvent.keyDown(editor, { key: 'End' });
+    fireEvent.keyDown(editor, { key: 'ArrowLeft' });
+    fireEvent.keyDown(editor, { key: '5' });
+    expect(screen.getByRole('status')).toHaveTextContent("G placed above 'love', line 2");
+    expect(within(getChordLine(2)).getByText('G')).toBeInTheDocument();
+
+    fireEvent.keyDown(editor, { key: 'Delete' });
+    expect(screen.getByRole('status')).toHaveTextContent("G removed from above 'love', line 2");
+    expect(getChordNames('Chord editor')).toEqual([]);
+    await waitForAutoSave();
+});
+
+test('Ctrl+C copies a selected chord row only when no page text is selected', async () => {
+    await renderApp();
+    typeLyrics('hello');
+    fireEvent.click(screen.getByRole('button', { name: /add chords/i }));
+    placeChord(5, 1);
+    fireEvent.keyDown(within(getChordLine(1)).getByRole('button', { name: 'G' }), { key: 'Enter' });
+
+    jest.spyOn(window, 'getSelection').mockReturnValue({ isCollapsed: false });
+    fireEvent.keyDown(document.body, { key: 'c', ctrlKey: true });
+    expect(screen.queryByText('Copied 1 chord.')).not.toBeInTheDocument();
+    window.getSelection.mockRestore();
+
+    fireEvent.keyDown(document.body, { key: 'c', ctrlKey: true });
+    expect(screen.getByText('Copied 1 chord.')).toBeInTheDocument();
+    await waitForAutoSave();
+});
+
+test('transposing moves the key and every placed chord', async () => {
+    await renderApp();
+    typeLyrics('hello');
+    fireEvent.click(screen.getByRole('button', { name: /add chords/i }));
+    placeChord(1, 1);
+    fireEvent.click(screen.getByRole('button', { name: /up/i }));
+    fireEvent.click(screen.getByRole('button', { name: /up/i }));
+    expect(screen.getByDisplayValue('D')).toBeInTheDocument();
+    expect(getChordNames('Final chord sheet')).toEqual(['D']);
+    await waitForAutoSave();
+});
+
+test('copying writes the final sheet as plain text with the chords over the lyrics', async () => {
+    const copied = [];
+    // The app copies through a hidden textarea holding the text. jsdom has no execCommand, so a
+    // stand-in is put in place for the spy and the original restored at the end.
+    const originalExecCommand = document.execCommand;
+    document.execCommand = () => false;
+    jest.spyOn(document, 'execCommand').mockImplementation(() => {
+        copied.push(screen.getByDisplayValue(/Chorus/).value);
+        return true;
+    });
+    await renderApp();
+    typeLyrics('[Chorus]\nhello');
+    fireEvent.click(screen.getByRole('button', { name: /add chords/i }));
+    placeChord(6, 2);
+    fireEvent.click(screen.getByRole('button', { name: /^copy$/i }));
+    expect(copied).toEqual(['\n[Chorus]\nAm\nhello\n']);
+    expect(await screen.findByText('Copied to clipboard!')).toBeInTheDocument();
+    document.execCommand = originalExecCommand;
+});
+
+test('a ChordPro sheet is imported as a chord sheet, not as a song file', async () => {
+    await renderApp();
+    fireEvent.click(screen.getByRole('button', { name: /^import$/i }));
+    fireEvent.change(screen.getByPlaceholderText(/paste your chord sheet/i), { target: { value: '{title: X}\n[G]la' } });
+    // The modal's Import button renders ahead of the header's.
+    fireEvent.click(screen.getAllByRole('button', { name: /^import$/i })[0]);
+    expect(await screen.findByText('Imported "X"')).toBeInTheDocument();
+    expect(getChordNames('Chord editor')).toEqual(['G']);
+    expect(screen.getByDisplayValue('X')).toBeInTheDocument();
+    await waitForAutoSave();
+});
+
+test('the import dialog keeps the pasted text when the import fails', async () => {
+    await renderApp();
+    fireEvent.click(screen.getByRole('button', { name: /^import$/i }));
+    fireEvent.change(screen.getByPlaceholderText(/paste your chord sheet/i), { target: { value: '{"format": "onlychords-song", "version": 99}' } });
+    fireEvent.click(screen.getAllByRole('button', { name: /^import$/i })[0]);
+    expect(await screen.findByText(/newer version/i)).toBeInTheDocument();
+    expect(screen.getByPlaceholderText(/paste your chord sheet/i)).toHaveValue('{"format": "onlychords-song", "version": 99}');
+});
+
+test('the import dialog reports an unreadable file and starts empty after closing', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await renderApp();
+    fireEvent.click(screen.getByRole('button', { name: /^import$/i }));
+    const file = new File(['[G]la'], 'song.cho');
+    file.text = () => Promise.reject(new Error('unreadable'));
+    fireEvent.change(screen.getByLabelText(/choose file/i), { target: { files: [file] } });
+    expect(await screen.findByRole('alert')).toHaveTextContent('Couldn\'t read "song.cho".');
+
+    fireEvent.change(screen.getByPlaceholderText(/paste your chord sheet/i), { target: { value: 'half pasted' } });
+    fireEvent.click(screen.getByRole('button', { name: /close/i }));
+    fireEvent.click(screen.getByRole('button', { name: /^import$/i }));
+    expect(screen.getByPlaceholderText(/paste your chord sheet/i)).toHaveValue('');
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+});
+
+test('the open song is saved and reopened on the next visit', async () => {
+    const { unmount } = await renderApp();
+    typeLyrics('saved line');
+    fireEvent.click(screen.getByRole('button', { name: /add chords/i }));
+    placeChord(4, 1);
+    await waitForAutoSave();
+    unmount();
+
+    await renderApp();
+    expect(await screen.findAllByText('saved line')).toHaveLength(2);
+    expect(getChordNames('Chord editor')).toEqual(['F']);
+});
+
+test('without IndexedDB the app warns that songs only last until the page closes', async () => {
+    await renderApp();
+    expect(screen.getByText(/songs are lost when the page closes/i)).toBeInTheDocument();
+});
+
+test('a sheet saved in localStorage by an older version moves into the library', async () => {
+    localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify({
+        songTitle: 'Old Song',
+        scaleKey: 'G',
+        scaleType: 'major',
+        lyrics: 'from before',
+        lines: [{ id: 0, text: 'from before', chords: [{ id: 1, text: 'Em', index: 5 }] }],
+        editorStep: 'chords',
+    }));
+    await renderApp();
+    expect(await screen.findByDisplayValue('Old Song')).toBeInTheDocument();
+    expect(getChordNames('Chord editor')).toEqual(['Em']);
+    expect(localStorage.getItem(LEGACY_STORAGE_KEY)).toBeNull();
+    expect((await getAll(STORES.songs)).map(song => song.title)).toEqual(['Old Song']);
+});
+
+test('an older sheet\'s pixel chord positions are stored as character indexes', async () => {
+    localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify({
+        songTitle: 'Old Song',
+        lyrics: 'from before',
+        lines: [{ id: 0, text: 'from before', chords: [{ id: 1, text: 'Em', position: 0 }] }],
+        editorStep: 'chords',
+    }));
+    await renderApp();
+    const [song] = await getAll(STORES.songs);
+    expect(song.lines[0].chords).toEqual([{ id: 1, text: 'Em', index: 0 }]);
+});
+
+test('a library song still holding pixel chord positions is saved with character indexes', async () => {
+    await put(STORES.songs, createSong({
+        lyrics: 'from before',
+        lines: [{ id: 0, text: 'from before', chords: [{ id: 1, text: 'Em', position: 0 }] }],
+        editorStep: 'chords',
+    }));
+    await renderApp();
+    await waitForAutoSave();
+    const [song] = await getAll(STORES.songs);
+    expect(song.lines[0].chords).toEqual([{ id: 1, text: 'Em', index: 0 }]);
 });
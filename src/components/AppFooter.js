@@ -0,0 +1,24 @@
+import React from 'react';
+import { Instagram, Linkedin, Github } from 'lucide-react';
+
+const AppFooter = ({ onHowToClick }) => (
+    <footer className="w-full mt-16 py-8 border-t border-gray-200 dark:border-gray-800">
+        <div className="max-w-7xl mx-auto text-center text-gray-500 dark:text-gray-400 text-sm space-y-4">
+            <p>Made with ❤️ by A Musician (for Musicians)</p>
+            <div className="flex justify-center items-center gap-x-6">
+                <button onClick={onHowToClick} className="hover:text-blue-500 transition-colors">How-to & Shortcuts</button>
+                <a href="mailto:delston.aaron@gmail.com?subject=Feedback on OnlyChords" className="hover:text-blue-500 transition-colors">Report a Bug</a>
+            </div>
+            <div className="flex justify-center items-center gap-x-4 pt-2">
+                 <a href="https://www.instagram.com/delston.aaron" target="_blank" rel="noopener noreferrer" className="hover:text-pink-500 transition-colors"><Instagram size={20} /></a>
+                 <a href="https://www.linkedin.com/in/delston-pereira/" target="_blank" rel="noopener noreferrer" className="hover:text-blue-500 transition-colors"><Linkedin size={20} /></a>
+                 <a href="https://github.com/delston-aaron" target="_blank" rel="noopener noreferrer" className="hover:text-gray-400 dark:hover:text-gray-300 transition-colors"><Github size={20} /></a>
+            </div>
+            <p className="text-xs text-gray-400 dark:text-gray-500 pt-4">
+                Built with React & Tailwind CSS. Icons by Lucide React.
+            </p>
+        </div>
+    </footer>
+);
+
+export default AppFooter;
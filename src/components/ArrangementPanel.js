@@ -0,0 +1,45 @@
+import React from 'react';
+import { ArrowLeft, ArrowRight, X, RotateCcw, ListOrdered } from 'lucide-react';
+import { moveItem } from '../utils/library';
+import { getSectionLabel } from '../utils/sections';
+
+const iconButton = 'p-0.5 rounded hover:bg-blue-200 dark:hover:bg-blue-800 disabled:opacity-30';
+const selectClass = 'p-1 border bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md shadow-sm text-xs';
+
+// The song's play order as a row of section chips. Repeats point at the original section, so
+// changing the chorus once changes it everywhere it's played.
+const ArrangementPanel = ({ sections, entries, isCustom, onChange }) => {
+    const keys = entries.map(entry => entry.key);
+    const namedSections = sections.filter(section => section.key);
+
+    return (
+        <div className="mb-4 p-3 rounded-lg border border-gray-200 dark:border-gray-700">
+            <div className="flex items-center justify-between mb-2">
+                <h3 className="flex items-center gap-2 text-sm font-semibold"><ListOrdered size={16} /> Arrangement</h3>
+                {isCustom && (
+                    <button onClick={() => onChange(null)} className="flex items-center gap-1 text-xs text-gray-500 hover:text-blue-500" title="Play the sections in the order they're written">
+                        <RotateCcw size={12} /> Song order
+                    </button>
+                )}
+            </div>
+            <ol className="flex flex-wrap items-center gap-2">
+                {entries.map((entry, i) => (
+                    <li key={`${entry.key}-${i}`} className={`flex items-center gap-1 pl-2 pr-1 py-1 rounded-full text-xs font-semibold ${entry.isRepeat ? 'bg-blue-50 text-blue-600 dark:bg-blue-900/20 dark:text-blue-300 border border-dashed border-blue-300 dark:border-blue-700' : 'bg-blue-100 text-blue-700 dark:bg-blue-900/50 dark:text-blue-200'}`}>
+                        {getSectionLabel(entry)}
+                        <button onClick={() => onChange(moveItem(keys, i, i - 1))} disabled={i === 0} className={iconButton} title="Play earlier"><ArrowLeft size={12} /></button>
+                        <button onClick={() => onChange(moveItem(keys, i, i + 1))} disabled={i === entries.length - 1} className={iconButton} title="Play later"><ArrowRight size={12} /></button>
+                        <button onClick={() => onChange(keys.filter((_, j) => j !== i))} disabled={entries.length === 1} className={iconButton} title="Remove from arrangement"><X size={12} /></button>
+                    </li>
+                ))}
+                <li>
+                    <select value="" onChange={e => onChange([...keys, e.target.value])} className={selectClass} title="Add a section to the end">
+                        <option value="">+ Section</option>
+                        {namedSections.map(section => <option key={section.key} value={section.key}>{section.label}</option>)}
+                    </select>
+                </li>
+            </ol>
+        </div>
+    );
+};
+
+export default ArrangementPanel;
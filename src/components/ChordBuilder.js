@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { BUILDER_QUALITIES, BUILDER_EXTENSIONS, buildChordSymbol, isValidChord, spellNote, keyPrefersFlats } from '../utils/chordParser';
+
+const selectClass = 'p-2 border bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md shadow-sm text-sm';
+
+const ChordBuilder = ({ scaleKey, scaleType, onArm }) => {
+    const noteNames = Array.from({ length: 12 }, (_, i) => spellNote(i, keyPrefersFlats(scaleKey, scaleType)));
+    // Notes are kept as pitch classes so they respell when the key changes.
+    const [root, setRoot] = useState(0);
+    const [quality, setQuality] = useState('');
+    const [extension, setExtension] = useState('');
+    const [bass, setBass] = useState('');
+    const [customText, setCustomText] = useState('');
+
+    const builtChord = buildChordSymbol({
+        root: noteNames[root],
+        quality,
+        extension,
+        bass: bass === '' ? '' : noteNames[bass]
+    });
+    const customChord = customText.trim();
+    const isCustomValid = isValidChord(customChord);
+
+    const armCustom = (e) => {
+        e.preventDefault();
+        if (!isCustomValid) return;
+        onArm(customChord);
+        setCustomText('');
+    };
+
+    return (
+        <div className="space-y-3">
+            <div>
+                <h4 className="text-sm font-semibold mb-2 text-gray-600 dark:text-gray-400">Chord Builder</h4>
+                <div className="flex flex-wrap items-center gap-2">
+                    <select value={root} onChange={e => setRoot(Number(e.target.value))} className={selectClass} aria-label="Root">
+                        {noteNames.map((n, i) => <option key={n} value={i}>{n}</option>)}
+                    </select>
+                    <select value={quality} onChange={e => setQuality(e.target.value)} className={selectClass} aria-label="Quality">
+                        {BUILDER_QUALITIES.map(q => <option key={q.label} value={q.suffix}>{q.label}</option>)}
+                    </select>
+                    <select value={extension} onChange={e => setExtension(e.target.value)} className={selectClass} aria-label="Extension">
+                        {BUILDER_EXTENSIONS.map(ext => <option key={ext} value={ext}>{ext || 'No extension'}</option>)}
+                    </select>
+                    <select value={bass} onChange={e => setBass(e.target.value === '' ? '' : Number(e.target.value))} className={selectClass} aria-label="Bass note">
+                        <option value="">No bass</option>
+                        {noteNames.map((n, i) => <option key={n} value={i}>/{n}</option>)}
+                    </select>
+                    <button
+                        onClick={() => onArm(builtChord)}
+                        disabled={!builtChord}
+                        className="px-3 py-2 rounded-lg font-semibold shadow-sm text-sm text-white bg-gradient-to-br from-purple-600 to-blue-500 disabled:opacity-50"
+                    >
+                        Arm {builtChord || '—'}
+                    </button>
+                </div>
+            </div>
+            <form onSubmit={armCustom}>
+                <h4 className="text-sm font-semibold mb-2 text-gray-600 dark:text-gray-400">Type a Chord</h4>
+                <div className="flex gap-2">
+                    <input
+                        value={customText}
+                        onChange={e => setCustomText(e.target.value)}
+                        placeholder="e.g. G7, Csus4, Am7, C/E"
+                        className={`${selectClass} flex-1 font-mono ${customChord && !isCustomValid ? 'border-red-500 dark:border-red-500' : ''}`}
+                        aria-invalid={!!customChord && !isCustomValid}
+                    />
+                    <button type="submit" disabled={!isCustomValid} className="px-3 py-2 rounded-lg font-semibold shadow-sm text-sm bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 disabled:opacity-50">Arm</button>
+                </div>
+                {customChord && !isCustomValid && <p className="text-xs text-red-500 mt-1">"{customChord}" isn't a chord symbol we recognize.</p>}
+            </form>
+        </div>
+    );
+};
+
+export default ChordBuilder;
@@ -0,0 +1,19 @@
+import React from 'react';
+
+const ChordButton = ({ chord, index, onArm, isActive }) => (
+    <button
+        className={`relative flex items-center justify-center px-3 py-2 rounded-lg font-semibold shadow-sm border transition-all duration-200 text-sm
+            ${isActive 
+                ? 'transform -translate-y-0.5 text-white border-transparent bg-gradient-to-br from-purple-600 to-blue-500' 
+                : 'bg-white/80 dark:bg-gray-700/80 text-gray-800 dark:text-gray-200 border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-600'
+            }`}
+        onClick={() => onArm(chord.name)}
+        aria-pressed={isActive}
+    >
+        {isActive && <span className="absolute -inset-0.5 rounded-lg bg-gradient-to-r from-pink-500 via-purple-500 to-blue-500 opacity-75 blur-md animate-pulse"></span>}
+        {index !== undefined && <span className={`relative flex items-center justify-center w-5 h-5 text-xs rounded-full mr-2 ${isActive ? 'bg-white text-blue-600' : 'bg-gray-600 dark:bg-gray-500 text-white'}`}>{index + 1}</span>}
+        <span className="relative">{chord.name}</span>
+    </button>
+);
+
+export default ChordButton;
@@ -0,0 +1,76 @@
+import React from 'react';
+import { isMutedString } from '../utils/chordDiagrams';
+
+// Diagrams are plain SVG drawn in currentColor, with no Tailwind classes, so the same markup
+// works in the app, in dark mode and in the print window.
+const FRETS_SHOWN = 4;
+const STRING_GAP = 12;
+const FRET_GAP = 14;
+const TOP = 30;
+const LEFT = 16;
+
+const FretDiagram = ({ name, voicing }) => {
+    const strings = voicing.frets.length;
+    const width = LEFT * 2 + STRING_GAP * (strings - 1);
+    const height = TOP + FRET_GAP * FRETS_SHOWN + 6;
+    const stringX = (i) => LEFT + i * STRING_GAP;
+    return (
+        <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} role="img" aria-label={`${name} chord diagram`}>
+            <text x={width / 2} y={11} textAnchor="middle" fontSize="11" fontWeight="bold" fontFamily="sans-serif" fill="currentColor">{name}</text>
+            {voicing.baseFret === 1 ? (
+                <rect x={LEFT - 1} y={TOP - 3} width={STRING_GAP * (strings - 1) + 2} height={3} fill="currentColor" />
+            ) : (
+                <text x={LEFT - 4} y={TOP + FRET_GAP / 2 + 3} textAnchor="end" fontSize="9" fontFamily="sans-serif" fill="currentColor">{voicing.baseFret}</text>
+            )}
+            {Array.from({ length: FRETS_SHOWN + 1 }, (_, i) => (
+                <line key={`fret-${i}`} x1={LEFT} x2={stringX(strings - 1)} y1={TOP + i * FRET_GAP} y2={TOP + i * FRET_GAP} stroke="currentColor" strokeWidth="1" opacity="0.6" />
+            ))}
+            {voicing.frets.map((fret, i) => (
+                <g key={`string-${i}`}>
+                    <line x1={stringX(i)} x2={stringX(i)} y1={TOP} y2={TOP + FRET_GAP * FRETS_SHOWN} stroke="currentColor" strokeWidth="1" opacity="0.6" />
+                    {isMutedString(fret) && <text x={stringX(i)} y={TOP - 7} textAnchor="middle" fontSize="9" fontFamily="sans-serif" fill="currentColor">×</text>}
+                    {fret === 0 && <circle cx={stringX(i)} cy={TOP - 10} r={3} fill="none" stroke="currentColor" strokeWidth="1" />}
+                    {fret > 0 && <circle cx={stringX(i)} cy={TOP + (fret - voicing.baseFret + 0.5) * FRET_GAP} r={4.5} fill="currentColor" />}
+                </g>
+            ))}
+        </svg>
+    );
+};
+
+// --- Piano ---
+const WHITE_KEY_WIDTH = 12;
+const WHITE_KEY_HEIGHT = 44;
+const BLACK_KEY_WIDTH = 8;
+const BLACK_KEY_HEIGHT = 27;
+const WHITE_PITCH_CLASSES = [0, 2, 4, 5, 7, 9, 11];
+
+const PianoDiagram = ({ name, voicing }) => {
+    const lowestC = Math.floor(Math.min(...voicing.notes) / 12) * 12;
+    const octaves = Math.ceil((Math.max(...voicing.notes) - lowestC + 1) / 12);
+    const keys = Array.from({ length: octaves * 12 }, (_, i) => lowestC + i);
+    const whiteKeys = keys.filter(note => WHITE_PITCH_CLASSES.includes(note % 12));
+    const width = whiteKeys.length * WHITE_KEY_WIDTH + 2;
+    const height = WHITE_KEY_HEIGHT + 20;
+    const isPlayed = (note) => voicing.notes.includes(note);
+    // A black key sits on the line between the white keys either side of it.
+    const blackKeyX = (note) => whiteKeys.indexOf(note + 1) * WHITE_KEY_WIDTH + 1 - BLACK_KEY_WIDTH / 2;
+    return (
+        <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} role="img" aria-label={`${name} chord diagram`}>
+            <text x={width / 2} y={11} textAnchor="middle" fontSize="11" fontWeight="bold" fontFamily="sans-serif" fill="currentColor">{name}</text>
+            {whiteKeys.map((note, i) => (
+                <rect key={note} x={1 + i * WHITE_KEY_WIDTH} y={17} width={WHITE_KEY_WIDTH} height={WHITE_KEY_HEIGHT} fill={isPlayed(note) ? '#a855f7' : 'white'} stroke="currentColor" strokeWidth="1" />
+            ))}
+            {keys.filter(note => !WHITE_PITCH_CLASSES.includes(note % 12)).map(note => (
+                <rect key={note} x={blackKeyX(note)} y={17} width={BLACK_KEY_WIDTH} height={BLACK_KEY_HEIGHT} fill={isPlayed(note) ? '#7e22ce' : '#111827'} stroke="currentColor" strokeWidth="1" />
+            ))}
+        </svg>
+    );
+};
+
+const ChordDiagram = ({ name, instrument, voicing }) => (
+    instrument === 'piano'
+        ? <PianoDiagram name={name} voicing={voicing} />
+        : <FretDiagram name={name} voicing={voicing} />
+);
+
+export default ChordDiagram;
@@ -0,0 +1,55 @@
+import React from 'react';
+import { ChevronLeft, ChevronRight, Guitar } from 'lucide-react';
+import ChordDiagram from './ChordDiagram';
+import { INSTRUMENTS, getVoicings } from '../utils/chordDiagrams';
+
+const selectClass = 'p-1 border bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md shadow-sm text-sm';
+const iconButton = 'p-0.5 rounded hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-30';
+
+export const PRINT_POSITIONS = [
+    { value: 'none', label: "Don't print" },
+    { value: 'top', label: 'Print at top' },
+    { value: 'bottom', label: 'Print at bottom' },
+];
+
+// Diagrams for every chord in the song. `voicingChoices` maps a chord name to the voicing
+// picked for it, so the printed sheet shows the same fingering.
+const ChordDiagramPanel = ({ chords, instrument, onInstrumentChange, voicingChoices, onVoicingChange, printPosition, onPrintPositionChange }) => (
+    <div className="mt-6 p-4 rounded-lg border border-gray-200 dark:border-gray-700">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+            <h3 className="flex items-center gap-2 text-lg font-semibold"><Guitar size={18} /> Chord Diagrams</h3>
+            <div className="flex gap-2">
+                <select value={instrument} onChange={e => onInstrumentChange(e.target.value)} className={selectClass} aria-label="Instrument">
+                    {Object.entries(INSTRUMENTS).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                <select value={printPosition} onChange={e => onPrintPositionChange(e.target.value)} className={selectClass} aria-label="Print diagrams">
+                    {PRINT_POSITIONS.map(position => <option key={position.value} value={position.value}>{position.label}</option>)}
+                </select>
+            </div>
+        </div>
+        {chords.length === 0 && <p className="text-sm text-gray-500 dark:text-gray-400 italic">Chords you place will show up here.</p>}
+        <div className="flex flex-wrap gap-4">
+            {chords.map(name => {
+                const voicings = getVoicings(name, instrument);
+                if (voicings.length === 0) {
+                    return <div key={name} className="w-24 text-xs text-center text-gray-500 dark:text-gray-400"><div className="font-bold text-sm">{name}</div>No diagram</div>;
+                }
+                const choice = Math.min(voicingChoices[name] || 0, voicings.length - 1);
+                return (
+                    <div key={name} className="flex flex-col items-center text-gray-800 dark:text-gray-200">
+                        <ChordDiagram name={name} instrument={instrument} voicing={voicings[choice]} />
+                        {voicings.length > 1 && (
+                            <div className="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400">
+                                <button onClick={() => onVoicingChange(name, choice - 1)} disabled={choice === 0} className={iconButton} title="Previous voicing"><ChevronLeft size={12} /></button>
+                                {choice + 1}/{voicings.length}
+                                <button onClick={() => onVoicingChange(name, choice + 1)} disabled={choice === voicings.length - 1} className={iconButton} title="Next voicing"><ChevronRight size={12} /></button>
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    </div>
+);
+
+export default ChordDiagramPanel;
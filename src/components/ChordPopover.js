@@ -0,0 +1,52 @@
+import React, { useState } from 'react';
+import { ChevronLeft, ChevronRight, Trash2, X } from 'lucide-react';
+import { isValidChord, isNoChord } from '../utils/chordParser';
+
+export const POPOVER_INPUT_ID = 'chord-popover-input';
+
+const smallButton = 'flex items-center gap-1 px-2 py-1 rounded-md text-xs font-semibold bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600';
+
+// Appears under the selected chord to change, nudge or delete it.
+const ChordPopover = ({ chord, armedChord, onReplace, onNudge, onDelete, onClose }) => {
+    const [text, setText] = useState(chord.text);
+    const trimmed = text.trim();
+    const isValid = isValidChord(trimmed) || isNoChord(trimmed);
+
+    const submit = (e) => {
+        e.preventDefault();
+        if (isValid && trimmed !== chord.text) onReplace(trimmed);
+    };
+
+    return (
+        <div
+            className="absolute top-7 z-30 w-64 p-2 space-y-2 font-sans rounded-lg shadow-xl bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-gray-200"
+            style={{ left: `${chord.index}ch` }}
+            onClick={e => e.stopPropagation()}
+            onPointerDown={e => e.stopPropagation()}
+        >
+            <form className="flex gap-1" onSubmit={submit}>
+                <input
+                    id={POPOVER_INPUT_ID}
+                    value={text}
+                    onChange={e => setText(e.target.value)}
+                    onKeyDown={e => e.key === 'Escape' && onClose()}
+                    aria-label="Chord"
+                    aria-invalid={!isValid}
+                    className={`flex-1 min-w-0 px-2 py-1 font-mono text-sm rounded-md border bg-white dark:bg-gray-700 ${isValid ? 'border-gray-300 dark:border-gray-600' : 'border-red-500'}`}
+                />
+                <button type="submit" disabled={!isValid} className={`${smallButton} disabled:opacity-50`}>Change</button>
+                <button type="button" onClick={onClose} className="p-1 rounded-md hover:bg-gray-200 dark:hover:bg-gray-700" title="Close"><X size={14} /></button>
+            </form>
+            <div className="flex flex-wrap gap-1">
+                {armedChord && armedChord !== chord.text && (
+                    <button onClick={() => onReplace(armedChord)} className={smallButton}>Use {armedChord}</button>
+                )}
+                <button onClick={() => onNudge(-1)} className={smallButton} title="Move left (Shift+←)"><ChevronLeft size={14} /></button>
+                <button onClick={() => onNudge(1)} className={smallButton} title="Move right (Shift+→)"><ChevronRight size={14} /></button>
+                <button onClick={onDelete} className={`${smallButton} text-red-600 dark:text-red-400`} title="Delete (Del)"><Trash2 size={14} /> Delete</button>
+            </div>
+        </div>
+    );
+};
+
+export default ChordPopover;
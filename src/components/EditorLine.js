@@ -0,0 +1,69 @@
+import React from 'react';
+import { Heading, ClipboardCopy, ClipboardPaste } from 'lucide-react';
+import PlacedChord from './PlacedChord';
+import ChordPopover from './ChordPopover';
+import { parseSectionHeader } from '../utils/sections';
+import { analyzeChord } from '../utils/analysis';
+
+// `editing` carries the selection, clipboard and handlers in the chord editor; the output
+// panel leaves it out and gets a read-only line. `analysisKey` turns on Roman numeral labels;
+// `isPlaying` highlights the line the play-along has reached; `caretIndex` draws the keyboard
+// placement caret before that character.
+const EditorLine = ({ line, onLineClick, editing, sectionLabel, analysisKey, isPlaying, onPlayChord, caretIndex = null }) => {
+    const section = parseSectionHeader(line.text);
+    const selection = editing && editing.selection;
+    const selectedChord = selection && selection.lineId === line.id ? line.chords.find(c => c.id === selection.chordId) : null;
+    return (
+        <div className={`group relative ${isPlaying ? 'rounded bg-yellow-100 dark:bg-yellow-900/40' : ''}`} data-line-id={line.id} data-playing={isPlaying || undefined}>
+            {caretIndex !== null && (
+                <span className="chord-caret absolute top-0 bottom-0 w-0.5 bg-blue-500 animate-pulse pointer-events-none" style={{ left: `${caretIndex}ch` }} aria-hidden="true" />
+            )}
+            <div className="chord-line relative h-6" data-id={line.id} aria-label={editing ? `Chords over line ${line.id + 1}` : undefined} onClick={(e) => onLineClick(e, line.id)}>
+                {line.chords.map(chord => (
+                    <PlacedChord
+                        key={chord.id}
+                        chord={chord}
+                        lineId={line.id}
+                        isSelected={!!selectedChord && selectedChord.id === chord.id}
+                        analysis={analysisKey ? analyzeChord(chord.text, analysisKey) : null}
+                        onSelect={editing && editing.onSelectChord}
+                        onMove={editing && editing.onMoveChord}
+                        onPlay={onPlayChord}
+                    />
+                ))}
+                {'\u00A0'}
+                {editing && (
+                    <div className="absolute right-0 top-0 flex gap-1 font-sans opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity" onClick={e => e.stopPropagation()}>
+                        {!section && (
+                            <button onClick={() => editing.onAddSection(line.id)} title="Start a section here" className="p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700 text-gray-500"><Heading size={14} /></button>
+                        )}
+                        {line.chords.length > 0 && (
+                            <button onClick={() => editing.onCopyRow(line)} title="Copy this line's chords" className="p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700 text-gray-500"><ClipboardCopy size={14} /></button>
+                        )}
+                        {editing.copiedRow && (
+                            <button onClick={() => editing.onPasteRow(line.id)} title="Paste copied chords onto this line" className="p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700 text-gray-500"><ClipboardPaste size={14} /></button>
+                        )}
+                    </div>
+                )}
+                {selectedChord && (
+                    <ChordPopover
+                        key={`${selectedChord.id}-${selectedChord.text}`}
+                        chord={selectedChord}
+                        armedChord={editing.armedChord}
+                        onReplace={editing.onReplaceChord}
+                        onNudge={editing.onNudgeChord}
+                        onDelete={editing.onDeleteChord}
+                        onClose={() => editing.onSelectChord(null)}
+                    />
+                )}
+            </div>
+            <div className="lyric-line w-full outline-none">
+                {section ? (
+                    <span className="section-label inline-block px-2 rounded font-sans text-sm font-bold uppercase tracking-wider bg-blue-100 text-blue-700 dark:bg-blue-900/50 dark:text-blue-200">{sectionLabel || section.label}</span>
+                ) : (line.text || '\u00A0')}
+            </div>
+        </div>
+    );
+};
+
+export default EditorLine;
@@ -0,0 +1,58 @@
+import React from 'react';
+import { X } from 'lucide-react';
+
+const HowToModal = ({ show, onClose }) => {
+    if (!show) return null;
+    return (
+        <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50" onClick={onClose}>
+            <div className="bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-200 rounded-xl shadow-2xl p-8 max-w-lg w-full m-4" onClick={e => e.stopPropagation()}>
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-2xl font-bold">How to Use Only<span className="bg-gradient-to-r from-purple-600 to-blue-500 text-transparent bg-clip-text bg-[length:200%_auto] animate-gradient-flow">Chords</span></h3>
+                    <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700">
+                        <X size={24} />
+                    </button>
+                </div>
+                <div className="space-y-4 text-gray-600 dark:text-gray-400">
+                    <p>This app uses a two-step process for the best experience:</p>
+                    <ol className="list-decimal list-inside space-y-2">
+                        <li><strong className="text-gray-800 dark:text-gray-200">Edit Lyrics:</strong> Type or paste all your lyrics into the text area.</li>
+                        <li><strong className="text-gray-800 dark:text-gray-200">Add Chords:</strong> Click the "Add Chords" button. This locks the lyrics and lets you place chords. You can always go back to edit lyrics: chords stay with their lines when you add, remove or reorder lines, and you're warned before a deleted line takes its chords with it.</li>
+                    </ol>
+                    <p><strong className="text-gray-800 dark:text-gray-200">Sections:</strong> Put a header such as <code>[Verse 1]</code> or <code>[Chorus]</code> on its own line, or use the header button at the end of a line while placing chords. Write <code>[Repeat Chorus]</code> to play the chorus again without copying it, and reorder the sections in the Arrangement bar above the final sheet.</p>
+                    <p><strong className="text-gray-800 dark:text-gray-200">Hearing Chords:</strong> Clicking a palette chord or a placed chord plays it. Press Play Along above the final sheet to hear the whole song at your tempo while the current line is highlighted.</p>
+                    <h4 className="text-lg font-semibold pt-4">Keyboard Shortcuts</h4>
+                    <ul className="list-disc list-inside space-y-1">
+                        <li><kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">1</kbd> - <kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">7</kbd>: Arm the corresponding chord from the main palette.</li>
+                        <li><kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">Shift</kbd> + <kbd>Number</kbd>: Arm the seventh chord on that degree (e.g. G7 in C).</li>
+                        <li><kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">Alt</kbd> + <kbd>Number</kbd>: Type a number into the lyrics text area.</li>
+                        <li><kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">Ctrl</kbd> + <kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">Z</kbd>: Undo the last change to the sheet; <kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">Ctrl</kbd> + <kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">Shift</kbd> + <kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">Z</kbd> redoes it.</li>
+                        <li><kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">Esc</kbd>: Deselect the selected placed chord, then disarm the armed chord.</li>
+                    </ul>
+                    <h4 className="text-lg font-semibold pt-4">Placing Chords from the Keyboard</h4>
+                    <ul className="list-disc list-inside space-y-1">
+                        <li>Tab to the chord editor (after pressing Add Chords) to get a cursor in the lyrics. Screen readers announce where it is and each chord you place.</li>
+                        <li><kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">←</kbd> / <kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">→</kbd>: Move one character. <kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">↑</kbd> / <kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">↓</kbd>: Move one line. <kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">Home</kbd> / <kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">End</kbd>: Go to the start or end of the line.</li>
+                        <li><kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">1</kbd> - <kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">7</kbd>: Place that chord from the main palette at the cursor (<kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">Shift</kbd> for its seventh). <kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">Enter</kbd>: Place the armed chord.</li>
+                        <li><kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">Del</kbd>: Remove the chord at the cursor. <kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">Esc</kbd>: Disarm the armed chord.</li>
+                    </ul>
+                    <h4 className="text-lg font-semibold pt-4">Performance Mode</h4>
+                    <ul className="list-disc list-inside space-y-1">
+                        <li>Press Perform above the final sheet, or the perform button on a setlist, to read full screen on stage.</li>
+                        <li><kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">Page Down</kbd> / <kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">Page Up</kbd> or the arrow keys (as most pedals send), or tapping the bottom or top of the screen: Next or previous section, then song.</li>
+                        <li><kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">Space</kbd>: Start or pause autoscroll. <kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">Esc</kbd>: Leave performance mode.</li>
+                    </ul>
+                    <h4 className="text-lg font-semibold pt-4">Editing Placed Chords</h4>
+                    <ul className="list-disc list-inside space-y-1">
+                        <li>Click a placed chord to change or delete it; drag it to move it to another character or line.</li>
+                        <li><kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">←</kbd> / <kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">→</kbd>: Select the previous or next chord; with <kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">Shift</kbd>, move it one character.</li>
+                        <li><kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">↑</kbd> / <kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">↓</kbd>: Select the nearest chord on the line above or below.</li>
+                        <li><kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">Enter</kbd>: Type a new name for the selected chord. <kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">Del</kbd>: Delete it.</li>
+                        <li><kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">Ctrl</kbd> + <kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">C</kbd> / <kbd className="font-mono bg-gray-200 dark:bg-gray-700 rounded px-1.5 py-0.5">V</kbd>: Copy the selected chord's line of chords, or paste a copied row onto it. The copy and paste buttons at the end of each line do the same.</li>
+                    </ul>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default HowToModal;
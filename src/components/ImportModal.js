@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { X, Upload } from 'lucide-react';
+
+const ACCEPTED_FILES = '.txt,.cho,.chopro,.chordpro,.crd,.pro,.json';
+
+const ImportModal = ({ show, onClose, onImport }) => {
+    const [text, setText] = useState('');
+    const [fileError, setFileError] = useState(null);
+
+    if (!show) return null;
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            setText(await file.text());
+            setFileError(null);
+        } catch (error) {
+            console.error("Failed to read file", error);
+            setFileError(`Couldn't read "${file.name}".`);
+        }
+        e.target.value = '';
+    };
+
+    // The text stays put when the import fails, so it can be fixed and tried again.
+    const handleImport = async () => {
+        if (await onImport(text)) setText('');
+    };
+
+    const handleClose = () => {
+        setText('');
+        setFileError(null);
+        onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50" onClick={handleClose}>
+            <div className="bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-200 rounded-xl shadow-2xl p-8 max-w-2xl w-full m-4" onClick={e => e.stopPropagation()}>
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-2xl font-bold">Import Chord Sheet</h3>
+                    <button onClick={handleClose} aria-label="Close" className="p-1 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700">
+                        <X size={24} />
+                    </button>
+                </div>
+                <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
+                    Paste a chords-over-lyrics sheet or a ChordPro file (<code>[G]</code> inline chords, <code>{'{title:}'}</code> and <code>{'{key:}'}</code> directives), or pick a file. Songs and library backups exported as JSON can be opened here too.
+                </p>
+                <textarea
+                    value={text}
+                    onChange={e => setText(e.target.value)}
+                    placeholder="Paste your chord sheet here..."
+                    className="w-full p-4 rounded-lg font-mono text-sm bg-white dark:bg-black border-2 border-gray-300 dark:border-gray-700 focus:border-blue-500 focus:outline-none"
+                    style={{ lineHeight: 1.8 }}
+                    rows={12}
+                />
+                {fileError && <p role="alert" className="text-sm text-red-600 dark:text-red-400 mt-2">{fileError}</p>}
+                <div className="flex justify-between items-center mt-4">
+                    <label className="flex items-center gap-2 cursor-pointer bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 font-bold py-2 px-4 rounded-lg shadow transition-colors">
+                        <Upload size={16} /> Choose File
+                        <input type="file" accept={ACCEPTED_FILES} onChange={handleFile} className="hidden" />
+                    </label>
+                    <button onClick={handleImport} disabled={!text.trim()} className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white font-bold py-2 px-4 rounded-lg shadow transition-colors">Import</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ImportModal;
@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { X, Search, Plus, Pencil, CopyPlus, Trash2, ArrowUp, ArrowDown, Check, ListMusic, Maximize2 } from 'lucide-react';
+import { NOTES } from '../utils/music';
+import { searchSongs, formatSongKey, getSongTitle, moveItem } from '../utils/library';
+import { formatScaleName } from '../utils/scales';
+
+const iconButton = 'p-1.5 rounded-md hover:bg-gray-200 dark:hover:bg-gray-700 text-gray-600 dark:text-gray-300';
+const inputClass = 'p-2 border bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 rounded-md shadow-sm';
+
+const InlineRename = ({ value, onSave, onCancel }) => {
+    const [text, setText] = useState(value);
+    return (
+        <form className="flex flex-1 gap-2" onSubmit={e => { e.preventDefault(); onSave(text.trim()); }}>
+            <input autoFocus value={text} onChange={e => setText(e.target.value)} onKeyDown={e => e.key === 'Escape' && onCancel()} className={`${inputClass} flex-1 py-1`} />
+            <button type="submit" className={iconButton} title="Save"><Check size={16} /></button>
+        </form>
+    );
+};
+
+const SongRow = ({ song, isCurrent, setlists, onOpen, onRename, onDuplicate, onDelete, onAddToSetlist }) => {
+    const [isRenaming, setIsRenaming] = useState(false);
+    const details = [song.artist, formatSongKey(song), ...(song.tags || [])].filter(Boolean).join(' · ');
+    return (
+        <li className={`flex items-center gap-2 p-2 rounded-lg ${isCurrent ? 'bg-blue-50 dark:bg-blue-900/30' : 'hover:bg-gray-50 dark:hover:bg-gray-700/50'}`}>
+            {isRenaming ? (
+                <InlineRename value={song.title} onCancel={() => setIsRenaming(false)} onSave={title => { onRename(song, title); setIsRenaming(false); }} />
+            ) : (
+                <button onClick={() => onOpen(song)} className="flex-1 text-left min-w-0">
+                    <div className="font-semibold truncate">{getSongTitle(song)}</div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400 truncate">{details}</div>
+                </button>
+            )}
+            {setlists.length > 0 && (
+                <select value="" onChange={e => onAddToSetlist(e.target.value, song)} className={`${inputClass} py-1 text-xs w-28`} title="Add to setlist">
+                    <option value="">+ Setlist</option>
+                    {setlists.map(setlist => <option key={setlist.id} value={setlist.id}>{setlist.name}</option>)}
+                </select>
+            )}
+            <button onClick={() => setIsRenaming(true)} className={iconButton} title="Rename"><Pencil size={16} /></button>
+            <button onClick={() => onDuplicate(song)} className={iconButton} title="Duplicate"><CopyPlus size={16} /></button>
+            <button onClick={() => onDelete(song)} className={iconButton} title="Delete"><Trash2 size={16} /></button>
+        </li>
+    );
+};
+
+const SetlistCard = ({ setlist, songs, onOpenSong, onSave, onDelete, onPerform }) => {
+    const [isRenaming, setIsRenaming] = useState(false);
+    const updateEntries = (entries) => onSave({ ...setlist, songs: entries });
+
+    return (
+        <li className="p-3 rounded-lg border border-gray-200 dark:border-gray-700">
+            <div className="flex items-center gap-2 mb-2">
+                {isRenaming ? (
+                    <InlineRename value={setlist.name} onCancel={() => setIsRenaming(false)} onSave={name => { onSave({ ...setlist, name: name || setlist.name }); setIsRenaming(false); }} />
+                ) : (
+                    <h4 className="flex-1 flex items-center gap-2 font-semibold"><ListMusic size={16} /> {setlist.name}</h4>
+                )}
+                <button onClick={() => onPerform(setlist)} className={iconButton} title="Perform this setlist"><Maximize2 size={16} /></button>
+                <button onClick={() => setIsRenaming(true)} className={iconButton} title="Rename"><Pencil size={16} /></button>
+                <button onClick={() => onDelete(setlist)} className={iconButton} title="Delete"><Trash2 size={16} /></button>
+            </div>
+            {setlist.songs.length === 0
+                ? <p className="text-sm text-gray-500 dark:text-gray-400 italic">Add songs from the Songs tab.</p>
+                : <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">Key changes apply when you perform the setlist.</p>}
+            <ol className="space-y-1">
+                {setlist.songs.map((entry, index) => {
+                    const song = songs.find(s => s.id === entry.songId);
+                    if (!song) return null;
+                    return (
+                        <li key={`${entry.songId}-${index}`} className="flex items-center gap-2 text-sm">
+                            <span className="w-5 text-right text-gray-500">{index + 1}.</span>
+                            <button onClick={() => onOpenSong(song)} className="flex-1 text-left truncate hover:text-blue-500">{getSongTitle(song)}</button>
+                            <select
+                                value={entry.keyOverride || ''}
+                                onChange={e => updateEntries(setlist.songs.map((s, i) => (i === index ? { ...s, keyOverride: e.target.value || null } : s)))}
+                                className={`${inputClass} py-1 text-xs`}
+                                title="Key this song is performed in with the setlist. Opening the song to edit keeps its own key."
+                            >
+                                <option value="">Key: {formatSongKey(song)}</option>
+                                {NOTES.map(n => <option key={n} value={n}>Perform in {formatScaleName({ scaleKey: n, scaleType: song.scaleType })}</option>)}
+                            </select>
+                            <button onClick={() => updateEntries(moveItem(setlist.songs, index, index - 1))} className={iconButton} title="Move up"><ArrowUp size={14} /></button>
+                            <button onClick={() => updateEntries(moveItem(setlist.songs, index, index + 1))} className={iconButton} title="Move down"><ArrowDown size={14} /></button>
+                            <button onClick={() => updateEntries(setlist.songs.filter((_, i) => i !== index))} className={iconButton} title="Remove from setlist"><X size={14} /></button>
+                        </li>
+                    );
+                })}
+            </ol>
+        </li>
+    );
+};
+
+const LibraryPanel = ({ show, onClose, songs, setlists, currentSongId, onOpenSong, onNewSong, onRenameSong, onDuplicateSong, onDeleteSong, onCreateSetlist, onSaveSetlist, onDeleteSetlist, onPerformSetlist }) => {
+    const [tab, setTab] = useState('songs');
+    const [query, setQuery] = useState('');
+    const [newSetlistName, setNewSetlistName] = useState('');
+
+    if (!show) return null;
+
+    const addToSetlist = (setlistId, song) => {
+        const setlist = setlists.find(s => s.id === setlistId);
+        if (setlist) onSaveSetlist({ ...setlist, songs: [...setlist.songs, { songId: song.id, keyOverride: null }] });
+    };
+
+    const tabClass = (name) => `px-4 py-2 font-semibold border-b-2 transition-colors ${tab === name ? 'border-blue-500 text-blue-600 dark:text-blue-400' : 'border-transparent text-gray-500 hover:text-gray-800 dark:hover:text-gray-200'}`;
+
+    return (
+        <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50" onClick={onClose}>
+            <div className="bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-200 rounded-xl shadow-2xl p-8 max-w-3xl w-full m-4 max-h-[90vh] flex flex-col" onClick={e => e.stopPropagation()}>
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-2xl font-bold">Song Library</h3>
+                    <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700">
+                        <X size={24} />
+                    </button>
+                </div>
+                <div className="flex border-b border-gray-200 dark:border-gray-700 mb-4">
+                    <button onClick={() => setTab('songs')} className={tabClass('songs')}>Songs ({songs.length})</button>
+                    <button onClick={() => setTab('setlists')} className={tabClass('setlists')}>Setlists ({setlists.length})</button>
+                </div>
+
+                {tab === 'songs' ? (
+                    <>
+                        <div className="flex gap-2 mb-3">
+                            <div className="relative flex-1">
+                                <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                                <input value={query} onChange={e => setQuery(e.target.value)} placeholder="Search title, artist, key or tags..." className={`${inputClass} w-full pl-9`} />
+                            </div>
+                            <button onClick={onNewSong} className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg shadow transition-colors"><Plus size={16} /> New Song</button>
+                        </div>
+                        <ul className="overflow-y-auto space-y-1">
+                            {searchSongs(songs, query).map(song => (
+                                <SongRow
+                                    key={song.id}
+                                    song={song}
+                                    isCurrent={song.id === currentSongId}
+                                    setlists={setlists}
+                                    onOpen={onOpenSong}
+                                    onRename={onRenameSong}
+                                    onDuplicate={onDuplicateSong}
+                                    onDelete={onDeleteSong}
+                                    onAddToSetlist={addToSetlist}
+                                />
+                            ))}
+                        </ul>
+                    </>
+                ) : (
+                    <>
+                        <form className="flex gap-2 mb-3" onSubmit={e => { e.preventDefault(); onCreateSetlist(newSetlistName.trim()); setNewSetlistName(''); }}>
+                            <input value={newSetlistName} onChange={e => setNewSetlistName(e.target.value)} placeholder="Setlist name, e.g. Friday at The Anchor" className={`${inputClass} flex-1`} />
+                            <button type="submit" className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg shadow transition-colors"><Plus size={16} /> New Setlist</button>
+                        </form>
+                        <ul className="overflow-y-auto space-y-3">
+                            {setlists.map(setlist => (
+                                <SetlistCard key={setlist.id} setlist={setlist} songs={songs} onOpenSong={onOpenSong} onSave={onSaveSetlist} onDelete={onDeleteSetlist} onPerform={onPerformSetlist} />
+                            ))}
+                        </ul>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default LibraryPanel;
@@ -0,0 +1,210 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Play, Pause, ChevronUp, ChevronDown, SkipBack, SkipForward, Contrast, Minus, Plus } from 'lucide-react';
+import { getSectionLabel } from '../utils/sections';
+import { formatScaleName } from '../utils/scales';
+import { getSongTitle } from '../utils/library';
+import { formatChordLabel } from '../utils/analysis';
+import { measureCharWidth, migrateChordPositions } from '../utils/chordAnchors';
+import {
+    getPerformanceSheet, movePosition, getScrollPixelsPerSecond, clampFontSize, clampScrollSpeed,
+    FONT_SIZE_STEP, DEFAULT_SCROLL_SPEED,
+} from '../utils/performance';
+
+const NEXT_KEYS = ['PageDown', 'ArrowDown', 'ArrowRight'];
+const PREVIOUS_KEYS = ['PageUp', 'ArrowUp', 'ArrowLeft'];
+
+const PerformanceLine = ({ line, label, highContrast }) => (
+    <div>
+        {line.chords.length > 0 && (
+            <div className="relative h-[1.3em]">
+                {line.chords.map(chord => (
+                    <span key={chord.id} className={`absolute font-bold ${highContrast ? 'text-yellow-300' : 'text-fuchsia-600 dark:text-fuchsia-400'}`} style={{ left: `${chord.index}ch` }}>{formatChordLabel(chord)}</span>
+                ))}
+            </div>
+        )}
+        {label ? (
+            <div className={`font-sans text-[0.7em] font-bold uppercase tracking-wider pt-[0.6em] ${highContrast ? 'text-cyan-300' : 'text-blue-700 dark:text-blue-300'}`}>{label}</div>
+        ) : (
+            <div>{line.text || '\u00A0'}</div>
+        )}
+    </div>
+);
+
+// Keeps the screen on while performing, asking again whenever the page comes back into view
+// (browsers drop the lock when it's hidden).
+const useWakeLock = () => {
+    useEffect(() => {
+        if (!('wakeLock' in navigator)) return undefined;
+        let lock = null;
+        let isReleased = false;
+        const requestLock = () => navigator.wakeLock.request('screen')
+            .then(newLock => {
+                if (isReleased) newLock.release();
+                else lock = newLock;
+            })
+            .catch(error => console.error("Failed to keep the screen awake", error));
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'visible') requestLock();
+        };
+        requestLock();
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        return () => {
+            isReleased = true;
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            if (lock) lock.release();
+        };
+    }, []);
+};
+
+// The final sheet full screen for reading on stage. `queue` lists the songs to play as
+// [{ song, keyOverride }]: one song, or a whole setlist. Page Down / Page Up (or the arrow keys,
+// as most page-turner pedals send) and tapping the bottom or top half of the screen move between
+// sections, and on into the next or previous song.
+const PerformanceView = ({ queue, startIndex = 0, showShapes, useNashville, fontSize, onFontSizeChange, highContrast, onHighContrastChange, onScrollSpeedChange, onClose }) => {
+    const [position, setPosition] = useState({ songIndex: startIndex, sectionIndex: 0 });
+    const [isScrolling, setIsScrolling] = useState(false);
+    const overlayRef = useRef(null);
+    const sheetRef = useRef(null);
+    useWakeLock();
+
+    const sheets = queue.map(({ song, keyOverride }) => getPerformanceSheet(
+        { ...song, lines: migrateChordPositions(song.lines || [], measureCharWidth()) },
+        { keyOverride, showShapes, useNashville }
+    ));
+    const songIndex = Math.min(position.songIndex, queue.length - 1);
+    const { song } = queue[songIndex];
+    const sheet = sheets[songIndex];
+    const scrollSpeed = song.scrollSpeed || DEFAULT_SCROLL_SPEED;
+
+    // The section at the top of the screen; at the bottom of the song, the last one.
+    const getVisibleSection = () => {
+        const container = sheetRef.current;
+        const sections = [...container.querySelectorAll('[data-section-index]')];
+        if (container.scrollTop + container.clientHeight >= container.scrollHeight - 2) return sections.length - 1;
+        return sections.reduce((visible, el, i) => (el.offsetTop <= container.scrollTop + 1 ? i : visible), 0);
+    };
+
+    const move = (direction) => {
+        const current = { songIndex, sectionIndex: getVisibleSection() };
+        const next = movePosition(current, direction, sheets.map(s => s.sections.length));
+        if (next.songIndex !== songIndex) setIsScrolling(false);
+        setPosition(next);
+    };
+
+    const changeSong = (direction) => {
+        const nextSong = Math.min(queue.length - 1, Math.max(0, songIndex + direction));
+        setIsScrolling(false);
+        setPosition({ songIndex: nextSong, sectionIndex: 0 });
+    };
+
+    useEffect(() => {
+        const section = sheetRef.current && sheetRef.current.querySelector(`[data-section-index="${position.sectionIndex}"]`);
+        if (section) sheetRef.current.scrollTo({ top: section.offsetTop, behavior: 'smooth' });
+        else if (sheetRef.current) sheetRef.current.scrollTop = 0;
+    }, [position]);
+
+    useEffect(() => {
+        const overlay = overlayRef.current;
+        if (overlay && overlay.requestFullscreen) {
+            overlay.requestFullscreen().catch(error => console.error("Failed to enter full screen", error));
+        }
+        return () => {
+            if (document.fullscreenElement) document.exitFullscreen().catch(error => console.error("Failed to leave full screen", error));
+        };
+    }, []);
+
+    // Autoscroll. scrollTop only takes whole pixels in some browsers, so the remainder is carried.
+    useEffect(() => {
+        if (!isScrolling) return undefined;
+        let frame = null;
+        let lastTime = null;
+        let carried = 0;
+        const step = (time) => {
+            const container = sheetRef.current;
+            if (lastTime !== null && container) {
+                carried += getScrollPixelsPerSecond(scrollSpeed) * (time - lastTime) / 1000;
+                const pixels = Math.floor(carried);
+                container.scrollTop += pixels;
+                carried -= pixels;
+                if (container.scrollTop + container.clientHeight >= container.scrollHeight - 1) {
+                    setIsScrolling(false);
+                    return;
+                }
+            }
+            lastTime = time;
+            frame = requestAnimationFrame(step);
+        };
+        frame = requestAnimationFrame(step);
+        return () => cancelAnimationFrame(frame);
+    }, [isScrolling, scrollSpeed]);
+
+    // Re-subscribes every render, like the editor's shortcuts, so the handlers see current state.
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (NEXT_KEYS.includes(e.key)) {
+                e.preventDefault();
+                move(1);
+            } else if (PREVIOUS_KEYS.includes(e.key)) {
+                e.preventDefault();
+                move(-1);
+            } else if (e.key === ' ') {
+                e.preventDefault();
+                setIsScrolling(!isScrolling);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                onClose();
+            }
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    });
+
+    const handleSheetClick = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        move(e.clientY - rect.top > rect.height / 2 ? 1 : -1);
+    };
+
+    const toolButton = `p-2 rounded-md disabled:opacity-30 ${highContrast ? 'hover:bg-gray-800' : 'hover:bg-gray-200 dark:hover:bg-gray-700'}`;
+    const keyName = formatScaleName(sheet.key);
+
+    return (
+        <div ref={overlayRef} className={`fixed inset-0 z-50 flex flex-col ${highContrast ? 'bg-black text-white' : 'bg-white text-gray-900 dark:bg-gray-900 dark:text-gray-100'}`}>
+            <div className={`flex flex-wrap items-center gap-1 px-3 py-2 text-sm border-b ${highContrast ? 'border-gray-700' : 'border-gray-200 dark:border-gray-700'}`}>
+                <div className="flex-1 min-w-0 px-2">
+                    <div className="font-semibold truncate">{queue.length > 1 && `${songIndex + 1}/${queue.length} · `}{getSongTitle(song)}</div>
+                    <div className="text-xs opacity-70">Key: {keyName}{sheet.capo > 0 && ` · Capo ${sheet.capo}`}</div>
+                </div>
+                {queue.length > 1 && (
+                    <>
+                        <button onClick={() => changeSong(-1)} disabled={songIndex === 0} className={toolButton} title="Previous song"><SkipBack size={18} /></button>
+                        <button onClick={() => changeSong(1)} disabled={songIndex === queue.length - 1} className={toolButton} title="Next song"><SkipForward size={18} /></button>
+                    </>
+                )}
+                <button onClick={() => move(-1)} className={toolButton} title="Previous section (Page Up)"><ChevronUp size={18} /></button>
+                <button onClick={() => move(1)} className={toolButton} title="Next section (Page Down)"><ChevronDown size={18} /></button>
+                <span className="mx-1 h-6 border-l border-current opacity-20" />
+                <button onClick={() => onFontSizeChange(clampFontSize(fontSize - FONT_SIZE_STEP))} className={toolButton} title="Smaller text"><span className="text-xs font-bold">A</span></button>
+                <button onClick={() => onFontSizeChange(clampFontSize(fontSize + FONT_SIZE_STEP))} className={toolButton} title="Larger text"><span className="text-lg font-bold leading-none">A</span></button>
+                <span className="mx-1 h-6 border-l border-current opacity-20" />
+                <button onClick={() => setIsScrolling(!isScrolling)} className={toolButton} title="Autoscroll (Space)">{isScrolling ? <Pause size={18} /> : <Play size={18} />}</button>
+                <button onClick={() => onScrollSpeedChange(song, clampScrollSpeed(scrollSpeed - 1))} className={toolButton} title="Scroll slower"><Minus size={16} /></button>
+                <span className="w-14 text-center tabular-nums" title="Autoscroll speed, saved with the song">Speed {scrollSpeed}</span>
+                <button onClick={() => onScrollSpeedChange(song, clampScrollSpeed(scrollSpeed + 1))} className={toolButton} title="Scroll faster"><Plus size={16} /></button>
+                <span className="mx-1 h-6 border-l border-current opacity-20" />
+                <button onClick={() => onHighContrastChange(!highContrast)} aria-pressed={highContrast} className={`${toolButton} ${highContrast ? 'text-yellow-300' : ''}`} title="High contrast"><Contrast size={18} /></button>
+                <button onClick={onClose} className={toolButton} title="Exit (Esc)"><X size={20} /></button>
+            </div>
+            <div ref={sheetRef} className="relative flex-1 overflow-y-auto px-6 pb-[50vh] font-mono leading-snug" style={{ fontSize: `${fontSize}px` }} onClick={handleSheetClick}>
+                {sheet.sections.length === 0 && <p className="font-sans text-base opacity-70 pt-6">This song has no chords or lyrics yet.</p>}
+                {sheet.sections.map((entry, i) => (
+                    <div key={`${entry.key}-${i}`} data-section-index={i} className="pt-[0.5em]">
+                        {entry.section.header && <PerformanceLine line={entry.section.header} label={getSectionLabel(entry)} highContrast={highContrast} />}
+                        {entry.section.lines.map(line => <PerformanceLine key={line.id} line={line} highContrast={highContrast} />)}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default PerformanceView;
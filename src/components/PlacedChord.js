@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { isValidChord, isNoChord } from '../utils/chordParser';
+import { measureCharWidth } from '../utils/chordAnchors';
+import { formatChordLabel } from '../utils/analysis';
+
+const DRAG_THRESHOLD = 3;
+
+// Finds the editor line under the pointer; lines are stacked, so only the y position matters.
+const findLineAt = (editor, clientY) => [...editor.querySelectorAll('[data-line-id]')].find(el => {
+    const rect = el.getBoundingClientRect();
+    return clientY >= rect.top && clientY < rect.bottom;
+});
+
+// A chord above the lyrics. In the editor it can be clicked to select it or dragged to another
+// character (or line); without them it is a label, as in the output panel, that plays the
+// chord when clicked if given `onPlay`.
+// `analysis` ({ numeral, isDiatonic }) adds a Roman numeral and marks chords outside the key.
+const PlacedChord = ({ chord, lineId, isSelected, analysis, onSelect, onMove, onPlay }) => {
+    const [drag, setDrag] = useState(null);
+    const isRecognized = chord.isNumber || isValidChord(chord.text) || isNoChord(chord.text);
+    const isEditable = !!onSelect;
+    const isPlayable = !isEditable && !!onPlay;
+
+    const handlePointerDown = (e) => {
+        if (!isEditable || e.button !== 0) return;
+        e.stopPropagation();
+        e.currentTarget.setPointerCapture(e.pointerId);
+        setDrag({ startX: e.clientX, startY: e.clientY, dx: 0, dy: 0, moved: false, charWidth: measureCharWidth(e.currentTarget.parentElement) });
+    };
+
+    const handlePointerMove = (e) => {
+        if (!drag) return;
+        const dx = e.clientX - drag.startX;
+        const dy = e.clientY - drag.startY;
+        setDrag({ ...drag, dx, dy, moved: drag.moved || Math.hypot(dx, dy) > DRAG_THRESHOLD });
+    };
+
+    const handlePointerUp = (e) => {
+        if (!drag) return;
+        e.stopPropagation();
+        setDrag(null);
+        if (!drag.moved) {
+            onSelect(lineId, chord.id);
+            return;
+        }
+        const editor = e.currentTarget.closest('.chord-editor');
+        const targetLine = editor && findLineAt(editor, e.clientY);
+        const index = chord.index + Math.round(drag.dx / drag.charWidth);
+        onMove(lineId, chord.id, targetLine ? targetLine.dataset.lineId : String(lineId), index);
+    };
+
+    const snappedDx = drag ? Math.round(drag.dx / drag.charWidth) * drag.charWidth : 0;
+
+    return (
+        <span
+            className={`chord-span absolute bg-white/80 dark:bg-black/80 px-1 rounded text-fuchsia-500 dark:text-fuchsia-400 select-none touch-none
+                ${isEditable ? (drag && drag.moved ? 'cursor-grabbing z-20 opacity-80 shadow-lg' : 'cursor-grab') : ''}
+                ${isPlayable ? 'cursor-pointer' : ''}
+                ${isSelected ? 'ring-2 ring-blue-500' : ''}
+                ${analysis && !analysis.isDiatonic ? 'outline outline-1 outline-amber-500 bg-amber-50/90 dark:bg-amber-900/60' : ''}
+                ${isRecognized ? '' : 'underline decoration-wavy decoration-red-500'}`}
+            style={{ left: `${chord.index}ch`, transform: drag && drag.moved ? `translate(${snappedDx}px, ${drag.dy}px)` : undefined }}
+            title={!isRecognized ? 'Unrecognized chord: it will not be transposed' : analysis && !analysis.isDiatonic ? 'Outside the key' : undefined}
+            role={isEditable || isPlayable ? 'button' : undefined}
+            tabIndex={isEditable || isPlayable ? 0 : undefined}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={() => setDrag(null)}
+            onClick={e => {
+                if (isEditable) e.stopPropagation();
+                if (isPlayable) onPlay(lineId, chord.id);
+            }}
+            onKeyDown={e => {
+                if (e.key !== 'Enter') return;
+                if (isEditable) {
+                    e.preventDefault();
+                    onSelect(lineId, chord.id);
+                } else if (isPlayable) {
+                    e.preventDefault();
+                    onPlay(lineId, chord.id);
+                }
+            }}
+        >
+            {formatChordLabel(chord)}
+            {analysis && <sub className="ml-0.5 font-sans text-[0.65em] text-gray-500 dark:text-gray-400">{analysis.numeral}</sub>}
+        </span>
+    );
+};
+
+export default PlacedChord;
@@ -0,0 +1,12 @@
+import React from 'react';
+
+const Toast = ({ message, show }) => {
+    if (!show) return null;
+    return (
+        <div className="fixed bottom-10 left-1/2 -translate-x-1/2 bg-gray-900 dark:bg-gray-100 text-white dark:text-black py-2 px-6 rounded-lg shadow-lg z-50 transition-opacity duration-300">
+            {message}
+        </div>
+    );
+};
+
+export default Toast;
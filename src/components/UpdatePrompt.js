@@ -0,0 +1,15 @@
+import React from 'react';
+import { RefreshCw, X } from 'lucide-react';
+
+// Offered when a new build has been downloaded in the background; it takes over on reload.
+const UpdatePrompt = ({ onReload, onDismiss }) => (
+    <div role="status" className="fixed bottom-6 right-6 z-50 flex items-center gap-3 py-3 px-4 rounded-lg shadow-xl bg-gray-900 dark:bg-gray-100 text-white dark:text-black text-sm">
+        <span>A new version of OnlyChords is ready.</span>
+        <button onClick={onReload} className="flex items-center gap-1.5 px-3 py-1.5 rounded-md font-semibold text-white bg-gradient-to-br from-purple-600 to-blue-500">
+            <RefreshCw size={14} /> Reload
+        </button>
+        <button onClick={onDismiss} className="p-1 rounded-full hover:bg-white/20 dark:hover:bg-black/10" title="Later"><X size={16} /></button>
+    </div>
+);
+
+export default UpdatePrompt;
@@ -1,15 +1,22 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
+import '@fontsource/inconsolata/400.css';
+import '@fontsource/inconsolata/700.css';
 import './index.css'; // Make sure you have this file for Tailwind CSS
 import App from './App'; // Assuming your main component is in App.js
 import reportWebVitals from './reportWebVitals';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
+const renderApp = (updateRegistration = null) => root.render(
   <React.StrictMode>
-    <App />
+    <App updateRegistration={updateRegistration} />
   </React.StrictMode>
 );
+renderApp();
+
+// Caches the app for offline use; when a new build arrives, App offers to reload into it.
+serviceWorkerRegistration.register({ onUpdate: renderApp });
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
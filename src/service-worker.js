@@ -0,0 +1,41 @@
+/* eslint-disable no-restricted-globals */
+// Built by react-scripts with Workbox's InjectManifest: `self.__WB_MANIFEST` is replaced with
+// every file of the build (scripts, styles, fonts, the lazily loaded chunks), so the whole app
+// is cached on the first visit and works with no connection at all.
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// --- App Shell ---
+// Every page navigation is answered with index.html from the cache, except for URLs that
+// look like files or belong to the server's own routes.
+const FILE_EXTENSION = /\/[^/?]+\.[^/]+$/;
+
+registerRoute(
+    ({ request, url }) => request.mode === 'navigate' && !url.pathname.startsWith('/_') && !FILE_EXTENSION.test(url.pathname),
+    createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// --- Public Files ---
+// Icons and the manifest live in public/ and aren't part of the build, so they're cached as
+// they're used and refreshed in the background.
+registerRoute(
+    ({ url }) => url.origin === self.location.origin && /\.(?:png|ico|json|txt)$/.test(url.pathname),
+    new StaleWhileRevalidate({
+        cacheName: 'public-files',
+        plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+    })
+);
+
+// --- Updates ---
+// A new build waits until the page asks it to take over (from the update prompt), so an open
+// song is never reloaded from under the player.
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
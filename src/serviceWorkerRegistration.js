@@ -0,0 +1,38 @@
+// Registers the service worker (src/service-worker.js) in production builds. The worker is
+// only built by `npm run build`, so development and tests run without one.
+const SERVICE_WORKER_URL = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+const isSupported = () => process.env.NODE_ENV === 'production' && 'serviceWorker' in navigator;
+
+// Calls `onUpdate(registration)` when a new build has been installed and is waiting for the
+// open tabs to let it take over.
+export const register = ({ onUpdate }) => {
+    if (!isSupported()) return;
+    // A PUBLIC_URL on another origin (a CDN) can't serve the worker.
+    const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+    if (publicUrl.origin !== window.location.origin) return;
+
+    window.addEventListener('load', async () => {
+        try {
+            const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+            if (registration.waiting && navigator.serviceWorker.controller) onUpdate(registration);
+            registration.addEventListener('updatefound', () => {
+                const installingWorker = registration.installing;
+                if (!installingWorker) return;
+                installingWorker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, and the app simply works offline from now on.
+                    if (installingWorker.state === 'installed' && navigator.serviceWorker.controller) onUpdate(registration);
+                });
+            });
+        } catch (error) {
+            console.error("Failed to register the service worker", error);
+        }
+    });
+};
+
+// Tells the waiting worker to take over, then reloads once it has so the page runs the new build.
+export const applyUpdate = (registration) => {
+    if (!registration || !registration.waiting) return;
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+    registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+};
@@ -0,0 +1,100 @@
+import { NOTES } from './music';
+import { parseChord, noteToPitchClass, getChordIntervals, getChordPitchClasses } from './chordParser';
+import { getScaleIntervals } from './scales';
+
+// --- Harmonic Analysis ---
+// Numbers are relative to the tonic's major scale, so a minor key reads i, ii°, bIII, iv, v,
+// bVI, bVII, and chords off the scale still get a sensible name (bVII in a major key).
+const ROMAN_NUMERALS = ['I', 'bII', 'II', 'bIII', 'III', 'IV', '#IV', 'V', 'bVI', 'VI', 'bVII', 'VII'];
+const NASHVILLE_NUMBERS = ['1', 'b2', '2', 'b3', '3', '4', '#4', '5', 'b6', '6', 'b7', '7'];
+const SUPERSCRIPT_DIGITS = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+
+const getScalePitchClasses = ({ scaleKey, scaleType }) => {
+    const tonic = NOTES.indexOf(scaleKey);
+    return getScaleIntervals(scaleType).map(interval => (tonic + interval) % 12);
+};
+
+const intervalFromTonic = (note, scaleKey) => (noteToPitchClass(note) - NOTES.indexOf(scaleKey) + 12) % 12;
+
+// Marks come from the notes rather than the spelling, so "Bm7b5" and "Bø7" both read viiø7.
+const qualityMark = (intervals) => {
+    const isMinorThird = intervals.includes(3) && !intervals.includes(4);
+    const hasFifth = intervals.includes(7);
+    if (isMinorThird && !hasFifth && intervals.includes(6)) return intervals.includes(10) ? 'ø' : '°';
+    if (!isMinorThird && !hasFifth && intervals.includes(8)) return '+';
+    return '';
+};
+
+const formatNumeral = (chord, intervals, scaleKey, bassNumber) => {
+    const numeral = ROMAN_NUMERALS[intervalFromTonic(chord.root, scaleKey)];
+    const isMinorThird = intervals.includes(3) && !intervals.includes(4);
+    let text = (isMinorThird ? numeral.toLowerCase() : numeral) + qualityMark(intervals);
+    if (chord.seventh === 'major') text += `maj${chord.extension}`;
+    else if (chord.extension) text += chord.extension;
+    if (chord.sus) text += `sus${chord.sus}`;
+    return text + bassNumber;
+};
+
+// Describes a chord in a key: { numeral: "V7", nashville: "57", isDiatonic }, where a chord is
+// diatonic when every note it sounds (bass included) belongs to the scale. Null for "N.C." and
+// anything that doesn't parse.
+export const analyzeChord = (chordName, key) => {
+    const chord = parseChord(chordName);
+    if (!chord || !key || !NOTES.includes(key.scaleKey)) return null;
+    const intervals = getChordIntervals(chord);
+    const scale = getScalePitchClasses(key);
+    const bassNumber = chord.bass ? `/${NASHVILLE_NUMBERS[intervalFromTonic(chord.bass, key.scaleKey)]}` : '';
+    return {
+        numeral: formatNumeral(chord, intervals, key.scaleKey, bassNumber),
+        nashville: NASHVILLE_NUMBERS[intervalFromTonic(chord.root, key.scaleKey)] + chord.suffix + bassNumber,
+        isDiatonic: getChordPitchClasses(chord).every(pitchClass => scale.includes(pitchClass)),
+    };
+};
+
+// Rewrites the chord names as Nashville numbers (flagged `isNumber`), leaving chords it can't
+// read as they are. The numbers stay plain text, which every export font can draw.
+export const toNashvilleLines = (lines, key) => lines.map(line => ({
+    ...line,
+    chords: line.chords.map(chord => {
+        const analysis = analyzeChord(chord.text, key);
+        return analysis ? { ...chord, text: analysis.nashville, isNumber: true } : chord;
+    })
+}));
+
+// On screen the leading digits of a number's suffix are raised, so "57" reads as 5⁷ rather
+// than fifty-seven. Chord names pass through unchanged.
+export const formatChordLabel = (chord) => (chord.isNumber
+    ? chord.text.replace(/^([b#]?\d)(\d+)/, (match, degree, digits) => degree + [...digits].map(d => SUPERSCRIPT_DIGITS[d]).join(''))
+    : chord.text);
+
+// --- Key Detection ---
+const FIRST_LAST_BONUS = 1;
+const TONIC_BONUS = 0.5;
+
+const KEY_CANDIDATES = NOTES.flatMap(scaleKey => ['major', 'minor'].map(scaleType => ({ scaleKey, scaleType })));
+
+// Picks the major or minor key that best fits the chords, given in the order they're played.
+// Each chord scores the share of its notes that are in the scale; a tonic chord scores extra,
+// and more again when it opens or closes the song, which separates relative major and minor.
+// Returns { scaleKey, scaleType, fit } with fit the share of chords fully in the key, or null.
+export const detectKey = (chordNames) => {
+    const chords = chordNames.map(parseChord).filter(Boolean);
+    if (chords.length === 0) return null;
+    const scored = KEY_CANDIDATES.map(key => {
+        const scale = getScalePitchClasses(key);
+        const tonicThird = key.scaleType === 'major' ? 4 : 3;
+        let score = 0;
+        let fitting = 0;
+        chords.forEach((chord, i) => {
+            const pitchClasses = getChordPitchClasses(chord);
+            const inScale = pitchClasses.filter(pitchClass => scale.includes(pitchClass)).length;
+            score += inScale / pitchClasses.length;
+            if (inScale === pitchClasses.length) fitting++;
+            const isTonic = intervalFromTonic(chord.root, key.scaleKey) === 0 && getChordIntervals(chord).includes(tonicThird);
+            if (isTonic) score += TONIC_BONUS + (i === 0 || i === chords.length - 1 ? FIRST_LAST_BONUS : 0);
+        });
+        return { ...key, score, fit: fitting / chords.length };
+    });
+    const best = scored.reduce((top, candidate) => (candidate.score > top.score ? candidate : top));
+    return { scaleKey: best.scaleKey, scaleType: best.scaleType, fit: best.fit };
+};
@@ -0,0 +1,60 @@
+import { analyzeChord, toNashvilleLines, formatChordLabel, detectKey } from './analysis';
+
+const C_MAJOR = { scaleKey: 'C', scaleType: 'major' };
+const A_MINOR = { scaleKey: 'A', scaleType: 'minor' };
+
+describe('analyzeChord', () => {
+    test.each([
+        ['C', C_MAJOR, 'I', '1', true],
+        ['Am', C_MAJOR, 'vi', '6m', true],
+        ['G7', C_MAJOR, 'V7', '57', true],
+        ['Fmaj7', C_MAJOR, 'IVmaj7', '4maj7', true],
+        ['Bm7b5', C_MAJOR, 'viiø7', '7m7b5', true],
+        ['Bb', C_MAJOR, 'bVII', 'b7', false],
+        ['D7', C_MAJOR, 'II7', '27', false],
+        ['C/E', C_MAJOR, 'I/3', '1/3', true],
+        ['Am', A_MINOR, 'i', '1m', true],
+        ['C', A_MINOR, 'bIII', 'b3', true],
+        ['E7', A_MINOR, 'V7', '57', false],
+        ['Bdim', A_MINOR, 'ii°', '2dim', true],
+    ])('%s in %o', (chord, key, numeral, nashville, isDiatonic) => {
+        expect(analyzeChord(chord, key)).toEqual({ numeral, nashville, isDiatonic });
+    });
+
+    test('returns null for chords it cannot read', () => {
+        expect(analyzeChord('N.C.', C_MAJOR)).toBeNull();
+        expect(analyzeChord('Hmaj', C_MAJOR)).toBeNull();
+    });
+});
+
+test('toNashvilleLines rewrites readable chords only', () => {
+    const lines = [{ id: 0, text: 'x', chords: [{ id: 1, text: 'G', index: 0 }, { id: 2, text: 'N.C.', index: 4 }] }];
+    const [numbered, untouched] = toNashvilleLines(lines, { scaleKey: 'G', scaleType: 'major' })[0].chords;
+    expect(numbered).toEqual({ id: 1, text: '1', index: 0, isNumber: true });
+    expect(untouched).toEqual({ id: 2, text: 'N.C.', index: 4 });
+});
+
+test('formatChordLabel raises the digits after a number but not chord names', () => {
+    expect(formatChordLabel({ text: '57', isNumber: true })).toBe('5⁷');
+    expect(formatChordLabel({ text: 'b77', isNumber: true })).toBe('b7⁷');
+    expect(formatChordLabel({ text: '4maj7', isNumber: true })).toBe('4maj7');
+    expect(formatChordLabel({ text: 'G7' })).toBe('G7');
+});
+
+describe('detectKey', () => {
+    test('finds the key of a simple progression', () => {
+        expect(detectKey(['C', 'Am', 'F', 'G', 'C'])).toMatchObject({ scaleKey: 'C', scaleType: 'major', fit: 1 });
+        expect(detectKey(['G', 'D', 'Em', 'C'])).toMatchObject({ scaleKey: 'G', scaleType: 'major' });
+    });
+
+    test('tells a minor key from its relative major by the tonic chord', () => {
+        expect(detectKey(['Am', 'F', 'C', 'G', 'Am'])).toMatchObject({ scaleKey: 'A', scaleType: 'minor' });
+        expect(detectKey(['Em', 'C', 'D', 'Em'])).toMatchObject({ scaleKey: 'E', scaleType: 'minor' });
+    });
+
+    test('reports how many chords fall outside the key', () => {
+        expect(detectKey(['C', 'F', 'Bb', 'C']).fit).toBeLessThan(1);
+        expect(detectKey([])).toBeNull();
+        expect(detectKey(['N.C.'])).toBeNull();
+    });
+});
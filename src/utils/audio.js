@@ -0,0 +1,96 @@
+import { getChordNotes } from './chordParser';
+
+// --- Synth ---
+// Chords are synthesized with the Web Audio API rather than played from samples, so playback
+// works offline and needs nothing downloaded.
+const CHORD_SECONDS = 1.5;
+const STRUM_SECONDS = 0.02;
+const ATTACK_SECONDS = 0.01;
+const CHORD_VOLUME = 0.5;
+const LEAD_IN_SECONDS = 0.1;
+
+let audioContext = null;
+
+export const isAudioSupported = () => typeof window !== 'undefined' && !!(window.AudioContext || window.webkitAudioContext);
+
+// Created on first use: browsers only allow sound after the page has been interacted with.
+const getAudioContext = () => {
+    if (!audioContext) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        audioContext = new AudioContextClass();
+    }
+    if (audioContext.state === 'suspended') audioContext.resume();
+    return audioContext;
+};
+
+export const midiToFrequency = (note) => 440 * 2 ** ((note - 69) / 12);
+
+// A plucked note: a quick attack, then a decay that has faded out by the end of `duration`.
+const scheduleNote = (context, output, note, start, duration, volume) => {
+    const oscillator = context.createOscillator();
+    const envelope = context.createGain();
+    oscillator.type = 'triangle';
+    oscillator.frequency.value = midiToFrequency(note);
+    envelope.gain.setValueAtTime(0, start);
+    envelope.gain.linearRampToValueAtTime(volume, start + ATTACK_SECONDS);
+    envelope.gain.exponentialRampToValueAtTime(0.001, start + duration);
+    oscillator.connect(envelope);
+    envelope.connect(output);
+    oscillator.start(start);
+    oscillator.stop(start + duration);
+};
+
+// Strums the notes from the bottom up. Returns false for chords that can't be read.
+const scheduleChord = (context, output, chordName, start, duration) => {
+    const notes = getChordNotes(chordName);
+    if (!notes) return false;
+    notes.forEach((note, i) => scheduleNote(context, output, note, start + i * STRUM_SECONDS, duration, CHORD_VOLUME / notes.length));
+    return true;
+};
+
+export const playChord = (chordName) => {
+    if (!isAudioSupported()) return false;
+    const context = getAudioContext();
+    return scheduleChord(context, context.destination, chordName, context.currentTime, CHORD_SECONDS);
+};
+
+// --- Play-Along ---
+// Output rows are keyed by their place in the arrangement, as a repeated section shows the same lines twice.
+export const getPlayRowKey = (entryIndex, lineId) => `${entryIndex}-${lineId}`;
+
+// One step per placed chord, in play order through the arranged sections (from
+// resolveArrangement). Each chord lasts `beatsPerChord` beats; "N.C." and other text that
+// isn't a chord still takes its time, as a rest.
+export const getPlayAlongSteps = (entries, { tempo, beatsPerChord }) => {
+    const duration = (60 / tempo) * beatsPerChord;
+    return entries
+        .flatMap((entry, i) => (entry.section.header ? [entry.section.header, ...entry.section.lines] : entry.section.lines)
+            .flatMap(line => [...line.chords]
+                .sort((a, b) => a.index - b.index)
+                .map(chord => ({ rowKey: getPlayRowKey(i, line.id), chord: chord.text }))))
+        .map((step, i) => ({ ...step, start: i * duration, duration }));
+};
+
+// Schedules every step up front so the timing holds even when timers are throttled, and
+// reports each step as it starts. Returns a function that stops playback.
+export const playProgression = (steps, { onStep, onEnd }) => {
+    if (!isAudioSupported() || steps.length === 0) {
+        onEnd();
+        return () => {};
+    }
+    const context = getAudioContext();
+    const output = context.createGain();
+    output.connect(context.destination);
+    const startTime = context.currentTime + LEAD_IN_SECONDS;
+    steps.forEach(step => scheduleChord(context, output, step.chord, startTime + step.start, step.duration));
+    const lastStep = steps[steps.length - 1];
+    const timers = [
+        ...steps.map(step => setTimeout(() => onStep(step), (LEAD_IN_SECONDS + step.start) * 1000)),
+        setTimeout(onEnd, (LEAD_IN_SECONDS + lastStep.start + lastStep.duration) * 1000),
+    ];
+    return () => {
+        timers.forEach(clearTimeout);
+        output.gain.setValueAtTime(0, context.currentTime);
+        output.disconnect();
+    };
+};
@@ -0,0 +1,26 @@
+import { midiToFrequency, getPlayRowKey, getPlayAlongSteps, playProgression } from './audio';
+
+const line = (id, text, chords) => ({ id, text, chords: chords.map(([name, index], i) => ({ id: `${id}-${i}`, text: name, index })) });
+
+test('midiToFrequency tunes A4 to 440 Hz', () => {
+    expect(midiToFrequency(69)).toBe(440);
+    expect(midiToFrequency(81)).toBe(880);
+    expect(midiToFrequency(60)).toBeCloseTo(261.63, 2);
+});
+
+test('getPlayAlongSteps walks the arrangement chord by chord at the tempo', () => {
+    const chorus = { header: line(0, '[Chorus]', []), lines: [line(1, 'la la', [['G', 3], ['C', 0]])] };
+    const verse = { header: null, lines: [line(2, 'no chords', []), line(3, 'words', [['N.C.', 0]])] };
+    const steps = getPlayAlongSteps([{ section: verse }, { section: chorus }, { section: chorus }], { tempo: 120, beatsPerChord: 4 });
+    expect(steps.map(s => s.chord)).toEqual(['N.C.', 'C', 'G', 'C', 'G']);
+    expect(steps.map(s => s.rowKey)).toEqual([getPlayRowKey(0, 3), '1-1', '1-1', '2-1', '2-1']);
+    expect(steps.map(s => s.start)).toEqual([0, 2, 4, 6, 8]);
+    expect(steps[0].duration).toBe(2);
+});
+
+test('playProgression ends straight away without Web Audio', () => {
+    const onEnd = jest.fn();
+    const stop = playProgression([{ rowKey: '0-0', chord: 'C', start: 0, duration: 1 }], { onStep: jest.fn(), onEnd });
+    expect(onEnd).toHaveBeenCalled();
+    expect(() => stop()).not.toThrow();
+});
@@ -0,0 +1,63 @@
+import { NOTES } from './music';
+import { parseChord, noteToPitchClass, getChordIntervals, transposeChord, transposeKey } from './chordParser';
+
+// --- Capo Shapes ---
+// Chords are stored in concert pitch. With a capo on fret N a guitarist plays the shapes of the
+// chords N semitones lower, so the shapes view is the sheet transposed down by the capo.
+export const MAX_CAPO = 11;
+const MAX_SUGGESTED_CAPO = 7;
+
+export const getShapeKey = ({ scaleKey, scaleType }, capo) => ({ scaleKey: transposeKey(scaleKey, -capo), scaleType });
+
+export const toShapeLines = (lines, key, capo) => {
+    if (!capo) return lines;
+    const shapeKey = getShapeKey(key, capo);
+    return lines.map(line => ({
+        ...line,
+        chords: line.chords.map(chord => {
+            const shape = transposeChord(chord.text, -capo, shapeKey);
+            return shape === null ? chord : { ...chord, text: shape };
+        })
+    }));
+};
+
+// Sheets written with a capo (ours included) give the shapes; this puts them back in concert pitch.
+export const fromShapeLines = (lines, key, capo) => {
+    if (!capo) return lines;
+    return lines.map(line => ({
+        ...line,
+        chords: line.chords.map(chord => {
+            const concert = transposeChord(chord.text, capo, key);
+            return concert === null ? chord : { ...chord, text: concert };
+        })
+    }));
+};
+
+// Chords every beginner knows in first position: the CAGED major shapes and Am, Dm, Em.
+// Sevenths and other colours on these roots count too (G7, Am7, Dsus4...).
+const OPEN_SHAPES = {
+    major: ['C', 'A', 'G', 'E', 'D'],
+    minor: ['A', 'D', 'E'],
+};
+
+export const isOpenShape = (chordName) => {
+    const chord = parseChord(chordName);
+    if (!chord) return false;
+    const intervals = getChordIntervals(chord);
+    const triad = intervals.includes(4) ? 'major' : intervals.includes(3) ? 'minor' : 'major';
+    return OPEN_SHAPES[triad].includes(NOTES[noteToPitchClass(chord.root)]);
+};
+
+// Capo positions ranked by how many of the song's chords become open shapes there; ties go to
+// the lower fret. Returns up to `limit` entries of { capo, openShapes, total }, best first.
+export const suggestCapos = (chordNames, limit = 3) => {
+    const chords = [...new Set(chordNames)].filter(name => parseChord(name));
+    if (chords.length === 0) return [];
+    return Array.from({ length: MAX_SUGGESTED_CAPO + 1 }, (_, capo) => ({
+        capo,
+        openShapes: chords.filter(name => isOpenShape(transposeChord(name, -capo))).length,
+        total: chords.length,
+    }))
+        .sort((a, b) => b.openShapes - a.openShapes || a.capo - b.capo)
+        .slice(0, limit);
+};
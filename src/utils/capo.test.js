@@ -0,0 +1,35 @@
+import { getShapeKey, toShapeLines, fromShapeLines, isOpenShape, suggestCapos } from './capo';
+
+const E_FLAT = { scaleKey: 'D#', scaleType: 'major' };
+
+test('getShapeKey moves the key down by the capo', () => {
+    expect(getShapeKey(E_FLAT, 3)).toEqual({ scaleKey: 'C', scaleType: 'major' });
+    expect(getShapeKey({ scaleKey: 'C', scaleType: 'minor' }, 3)).toEqual({ scaleKey: 'A', scaleType: 'minor' });
+});
+
+test('toShapeLines shows the shapes to play and leaves the stored chords alone', () => {
+    const lines = [{ id: 0, text: 'x', chords: [{ id: 1, text: 'Eb', index: 0 }, { id: 2, text: 'Bb7/D', index: 2 }, { id: 3, text: '???', index: 4 }] }];
+    const shapes = toShapeLines(lines, E_FLAT, 3);
+    expect(shapes[0].chords.map(c => c.text)).toEqual(['C', 'G7/B', '???']);
+    expect(lines[0].chords[0].text).toBe('Eb');
+    expect(toShapeLines(lines, E_FLAT, 0)).toBe(lines);
+});
+
+test('fromShapeLines turns capo shapes back into concert chords', () => {
+    const lines = [{ id: 0, text: 'x', chords: [{ id: 1, text: 'C', index: 0 }, { id: 2, text: 'G7/B', index: 2 }, { id: 3, text: '???', index: 4 }] }];
+    expect(fromShapeLines(lines, E_FLAT, 3)[0].chords.map(c => c.text)).toEqual(['Eb', 'Bb7/D', '???']);
+    expect(fromShapeLines(lines, E_FLAT, 0)).toBe(lines);
+});
+
+test('isOpenShape knows the first-position chords', () => {
+    expect(['C', 'G7', 'Am', 'Dsus4', 'Em7', 'E'].every(isOpenShape)).toBe(true);
+    expect(['F', 'Bm', 'Bb', 'C#m', 'Gm'].some(isOpenShape)).toBe(false);
+});
+
+test('suggestCapos ranks frets by open shapes, lower frets first on ties', () => {
+    const suggestions = suggestCapos(['Bb', 'Eb', 'F', 'Gm', 'Bb']);
+    expect(suggestions[0]).toEqual({ capo: 3, openShapes: 4, total: 4 });
+    expect(suggestions.map(s => s.capo)).toEqual([3, 1, 5]);
+    expect(suggestCapos(['G', 'C', 'D'])[0].capo).toBe(0);
+    expect(suggestCapos([])).toEqual([]);
+});
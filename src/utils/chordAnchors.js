@@ -0,0 +1,141 @@
+// --- Measuring ---
+// Chords are anchored to lyric character indices and drawn with the CSS `ch` unit, so the
+// only time we need real pixel widths is when converting a click (or legacy pixel data).
+const FALLBACK_CHAR_WIDTH = 8;
+const SAMPLE_STRING = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+export const measureCharWidth = (container = document.body) => {
+    const measure = document.createElement('span');
+    if (container === document.body) {
+        measure.style.fontFamily = "'Inconsolata', monospace";
+        measure.style.fontSize = '1rem';
+        measure.style.lineHeight = '1.8';
+    }
+    measure.style.whiteSpace = 'pre';
+    measure.style.visibility = 'hidden';
+    measure.style.position = 'absolute';
+    measure.textContent = SAMPLE_STRING;
+    container.appendChild(measure);
+    const width = measure.getBoundingClientRect().width / SAMPLE_STRING.length;
+    container.removeChild(measure);
+    return width || FALLBACK_CHAR_WIDTH;
+};
+
+// Snaps a pixel offset inside a chord line to the character it falls on.
+export const offsetToCharIndex = (offset, charWidth) => Math.max(0, Math.floor(offset / charWidth));
+
+// --- Migration ---
+// Sheets saved before chords were character-anchored store a pixel `position` instead of `index`.
+export const migrateChordPositions = (lines, charWidth) => lines.map(line => ({
+    ...line,
+    chords: line.chords.map(chord => {
+        if (typeof chord.index === 'number' || typeof chord.position !== 'number') return chord;
+        const { position, ...rest } = chord;
+        return { ...rest, index: Math.max(0, Math.round(position / charWidth)) };
+    })
+}));
+
+// --- Lyric Edits ---
+// Keeps chords over the same word when a lyric line is edited: the text shared at the start
+// and end of the line is left alone, and chords after the edit shift with it.
+export const remapChordIndex = (oldText, newText, index) => {
+    if (oldText === newText) return index;
+    const maxPrefix = Math.min(oldText.length, newText.length);
+    let prefix = 0;
+    while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) prefix++;
+    let suffix = 0;
+    while (
+        suffix < maxPrefix - prefix &&
+        oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]
+    ) suffix++;
+
+    if (index < prefix) return index;
+    const oldEditEnd = oldText.length - suffix;
+    if (index >= oldEditEnd) return index + (newText.length - oldText.length);
+    const newEditLength = newText.length - suffix - prefix;
+    return prefix + Math.min(index - prefix, Math.max(0, newEditLength - 1));
+};
+
+export const remapChords = (oldText, newText, chords) => chords.map(chord => ({
+    ...chord,
+    index: remapChordIndex(oldText, newText, chord.index)
+}));
+
+// --- Line Edits ---
+// Lines are matched across a lyric edit so chords follow their lines when others are inserted,
+// deleted or moved: unchanged lines are matched first, in order, then lines that moved, then
+// edited lines in the gaps between. A gap with as many old lines as new ones is taken as lines
+// edited in place; otherwise only lines that still look alike are paired.
+const SIMILAR_LINE = 0.5;
+
+// How much of the shorter line is still there at the start and end of the other, from 0 to 1,
+// so words added to a line keep it looking alike.
+const getSimilarity = (a, b) => {
+    const shortest = Math.min(a.length, b.length);
+    if (shortest === 0) return a.length === b.length ? 1 : 0;
+    let prefix = 0;
+    while (prefix < Math.min(a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < Math.min(a.length, b.length) - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+    return (prefix + suffix) / shortest;
+};
+
+// Pairs up two lists in order, maximizing the total score; a score of 0 never pairs. Returns
+// [[oldIndex, newIndex], ...] as positions in the lists.
+const alignInOrder = (oldItems, newItems, score) => {
+    const best = Array.from({ length: oldItems.length + 1 }, () => new Array(newItems.length + 1).fill(0));
+    for (let i = oldItems.length - 1; i >= 0; i--) {
+        for (let j = newItems.length - 1; j >= 0; j--) {
+            const pairScore = score(oldItems[i], newItems[j]);
+            best[i][j] = Math.max(best[i + 1][j], best[i][j + 1], pairScore > 0 ? pairScore + best[i + 1][j + 1] : 0);
+        }
+    }
+    const pairs = [];
+    for (let i = 0, j = 0; i < oldItems.length && j < newItems.length;) {
+        const pairScore = score(oldItems[i], newItems[j]);
+        if (pairScore > 0 && best[i][j] === pairScore + best[i + 1][j + 1]) pairs.push([i++, j++]);
+        else if (best[i][j] === best[i + 1][j]) i++;
+        else j++;
+    }
+    return pairs;
+};
+
+// For each new line, the index of the old line it came from, or -1 for a new line.
+export const matchLines = (oldTexts, newTexts) => {
+    const matches = new Array(newTexts.length).fill(-1);
+    const isOldMatched = new Array(oldTexts.length).fill(false);
+    const pair = (oldIndex, newIndex) => {
+        matches[newIndex] = oldIndex;
+        isOldMatched[oldIndex] = true;
+    };
+
+    const unchanged = alignInOrder(oldTexts, newTexts, (a, b) => (a === b ? 1 : 0));
+    unchanged.forEach(([oldIndex, newIndex]) => pair(oldIndex, newIndex));
+
+    // Blank lines are left to the gaps: which blank line "moved" can't be told apart.
+    newTexts.forEach((text, newIndex) => {
+        if (matches[newIndex] !== -1 || !text.trim()) return;
+        const oldIndex = oldTexts.findIndex((oldText, i) => !isOldMatched[i] && oldText === text);
+        if (oldIndex !== -1) pair(oldIndex, newIndex);
+    });
+
+    const anchors = [[-1, -1], ...unchanged, [oldTexts.length, newTexts.length]];
+    for (let a = 1; a < anchors.length; a++) {
+        const [oldStart, newStart] = anchors[a - 1];
+        const [oldEnd, newEnd] = anchors[a];
+        const oldGap = [];
+        for (let i = oldStart + 1; i < oldEnd; i++) if (!isOldMatched[i]) oldGap.push(i);
+        const newGap = [];
+        for (let j = newStart + 1; j < newEnd; j++) if (matches[j] === -1) newGap.push(j);
+        if (oldGap.length === newGap.length) {
+            oldGap.forEach((oldIndex, k) => pair(oldIndex, newGap[k]));
+        } else {
+            const similarity = (i, j) => {
+                const value = getSimilarity(oldTexts[i], newTexts[j]);
+                return value >= SIMILAR_LINE ? value : 0;
+            };
+            alignInOrder(oldGap, newGap, similarity).forEach(([o, n]) => pair(oldGap[o], newGap[n]));
+        }
+    }
+    return matches;
+};
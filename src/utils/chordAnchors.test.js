@@ -0,0 +1,66 @@
+import { offsetToCharIndex, migrateChordPositions, remapChordIndex, remapChords, matchLines } from './chordAnchors';
+
+test('offsetToCharIndex snaps a click to the character under it', () => {
+    expect(offsetToCharIndex(0, 8)).toBe(0);
+    expect(offsetToCharIndex(23.9, 8)).toBe(2);
+    expect(offsetToCharIndex(-5, 8)).toBe(0);
+});
+
+test('migrateChordPositions converts legacy pixel offsets once', () => {
+    const lines = [{ id: 0, text: 'Hello', chords: [{ id: 1, text: 'G', position: 41 }, { id: 2, text: 'C', index: 2 }] }];
+    expect(migrateChordPositions(lines, 8)[0].chords).toEqual([
+        { id: 1, text: 'G', index: 5 },
+        { id: 2, text: 'C', index: 2 },
+    ]);
+});
+
+describe('remapChordIndex', () => {
+    test('leaves chords before the edit in place', () => {
+        expect(remapChordIndex('I love you', 'I love you so', 2)).toBe(2);
+    });
+
+    test('moves chords after the edit along with their word', () => {
+        // "you" starts at 7, then at 12 after inserting "love "
+        expect(remapChordIndex('I love you', 'I love love you', 7)).toBe(12);
+        expect(remapChordIndex('Oh I love you', 'I love you', 10)).toBe(7);
+    });
+
+    test('keeps chords inside an edited word on that word', () => {
+        expect(remapChordIndex('the lovely day', 'the loving day', 6)).toBe(6);
+        expect(remapChordIndex('the wonderful day', 'the big day', 10)).toBe(6);
+    });
+});
+
+test('remapChords keeps chord identity', () => {
+    const chords = [{ id: 1, text: 'G', index: 0 }, { id: 2, text: 'D', index: 8 }];
+    expect(remapChords('Amazing grace', 'Amazing, grace', chords)).toEqual([
+        { id: 1, text: 'G', index: 0 },
+        { id: 2, text: 'D', index: 9 },
+    ]);
+});
+
+describe('matchLines', () => {
+    const verse = ['Amazing grace', 'how sweet the sound', '', 'that saved a wretch'];
+
+    test('follows lines past an insertion or a deletion', () => {
+        expect(matchLines(verse, ['[Verse 1]', ...verse])).toEqual([-1, 0, 1, 2, 3]);
+        expect(matchLines(verse, ['Amazing grace', '', 'that saved a wretch'])).toEqual([0, 2, 3]);
+    });
+
+    test('follows lines that moved', () => {
+        expect(matchLines(verse, ['that saved a wretch', 'Amazing grace', 'how sweet the sound', ''])).toEqual([3, 0, 1, 2]);
+    });
+
+    test('keeps edited lines in place, even rewritten ones', () => {
+        expect(matchLines(verse, ['Amazing grace!', 'so sweet a sound', '', 'that saved a wretch'])).toEqual([0, 1, 2, 3]);
+    });
+
+    test('pairs only lines that still look alike when lines were added or removed around an edit', () => {
+        expect(matchLines(verse, ['Amazing grace', 'a brand new line', 'how sweet the sound is', '', 'that saved a wretch'])).toEqual([0, -1, 1, 2, 3]);
+        expect(matchLines(['la la la', 'one', 'two'], ['la la la', 'two words'])).toEqual([0, 2]);
+    });
+
+    test('matches repeated lines in order', () => {
+        expect(matchLines(['oh', 'oh', 'yeah'], ['oh', 'oh', 'oh', 'yeah'])).toEqual([0, 1, -1, 2]);
+    });
+});
@@ -0,0 +1,145 @@
+import { parseChord, noteToPitchClass, getChordIntervals, getChordNotes } from './chordParser';
+
+// --- Instruments ---
+// Open strings as MIDI note numbers, lowest-sounding string first as drawn on a chord chart.
+// The ukulele's G string is tuned high (re-entrant), so any string can carry its lowest note
+// and its voicings don't have to start on the root.
+export const INSTRUMENTS = {
+    guitar: { label: 'Guitar', tuning: [40, 45, 50, 55, 59, 64] },
+    ukulele: { label: 'Ukulele', tuning: [67, 60, 64, 69], isReentrant: true },
+    piano: { label: 'Piano' },
+};
+
+const MAX_VOICINGS = 3;
+const FRET_SPAN = 4;
+const MAX_FINGERS = 4;
+const HIGHEST_START_FRET = 12;
+const MUTED = -1;
+
+// --- Fretted Voicings ---
+// The notes a voicing has to contain. Big chords drop the fifth first, then the 11th when the
+// instrument has too few strings, as players do.
+const getRequiredPitchClasses = (root, intervals, stringCount) => {
+    let required = intervals;
+    if (required.length > 3) required = required.filter(interval => interval !== 7);
+    if (required.length > stringCount) required = required.filter(interval => interval !== 17 && interval !== 18);
+    return [...new Set(required.map(interval => (root + interval) % 12))];
+};
+
+// Fingers needed: every fretted note takes one, except that notes on the lowest fret can share
+// a barre, as long as no string under the barre has to ring open.
+const countFingers = (frets) => {
+    const fretted = frets.filter(fret => fret > 0);
+    if (fretted.length === 0) return 0;
+    const lowest = Math.min(...fretted);
+    const barreStart = frets.indexOf(lowest);
+    const onLowest = fretted.filter(fret => fret === lowest).length;
+    const canBarre = onLowest > 1 && !frets.slice(barreStart).includes(0);
+    return canBarre ? fretted.length - onLowest + 1 : fretted.length;
+};
+
+// Lower is better: stay near the nut, use open strings, avoid stretches and don't mute much.
+const scoreVoicing = (frets) => {
+    const fretted = frets.filter(fret => fret > 0);
+    const position = fretted.length ? Math.min(...fretted) : 0;
+    const stretch = fretted.length ? Math.max(...fretted) - position : 0;
+    const muted = frets.filter(fret => fret === MUTED).length;
+    const open = frets.filter(fret => fret === 0).length;
+    return position * 2 + stretch + muted * 1.5 - open + countFingers(frets);
+};
+
+const findFrettedVoicings = (chord, { tuning, isReentrant }) => {
+    const intervals = getChordIntervals(chord);
+    const root = noteToPitchClass(chord.root);
+    const bass = chord.bass ? noteToPitchClass(chord.bass) : root;
+    const chordPitchClasses = new Set(intervals.map(interval => (root + interval) % 12).concat(bass));
+    const required = getRequiredPitchClasses(root, intervals, tuning.length);
+    const found = new Map();
+
+    for (let start = 1; start <= HIGHEST_START_FRET; start++) {
+        // Each string can be muted, open, or fretted inside the window if the note is in the chord.
+        const options = tuning.map(openNote => {
+            const choices = [MUTED];
+            for (let fret = 0; fret < start + FRET_SPAN; fret++) {
+                if ((fret === 0 || fret >= start) && chordPitchClasses.has((openNote + fret) % 12)) choices.push(fret);
+            }
+            return choices;
+        });
+        const frets = [];
+        const search = (string) => {
+            if (string === tuning.length) {
+                const sounding = frets.map((fret, i) => (fret === MUTED ? null : tuning[i] + fret)).filter(note => note !== null);
+                if (sounding.length < Math.min(3, tuning.length)) return;
+                if (!isReentrant && Math.min(...sounding) % 12 !== bass) return;
+                const pitchClasses = new Set(sounding.map(note => note % 12));
+                if (!required.every(pitchClass => pitchClasses.has(pitchClass))) return;
+                if (countFingers(frets) > MAX_FINGERS) return;
+                const key = frets.join(',');
+                if (!found.has(key)) found.set(key, [...frets]);
+                return;
+            }
+            options[string].forEach(fret => {
+                // Only strings on the bass side may be muted, so the strum stays continuous;
+                // ukulele chords ring on all four strings.
+                if (fret === MUTED && (isReentrant || (string > 0 && frets[string - 1] !== MUTED))) return;
+                frets.push(fret);
+                search(string + 1);
+                frets.pop();
+            });
+        };
+        search(0);
+    }
+
+    // Keep the best voicing for each neck position, so the choices are genuinely different.
+    const byPosition = new Map();
+    [...found.values()]
+        .sort((a, b) => scoreVoicing(a) - scoreVoicing(b))
+        .forEach(frets => {
+            const fretted = frets.filter(fret => fret > 0);
+            const position = fretted.length ? Math.min(...fretted) : 0;
+            const region = position <= 1 ? 0 : position;
+            if (!byPosition.has(region)) byPosition.set(region, frets);
+        });
+    return [...byPosition.values()].slice(0, MAX_VOICINGS).map(frets => {
+        const fretted = frets.filter(fret => fret > 0);
+        const highest = fretted.length ? Math.max(...fretted) : 0;
+        const baseFret = highest <= FRET_SPAN ? 1 : Math.min(...fretted);
+        return { frets, baseFret };
+    });
+};
+
+// --- Piano Voicings ---
+const MIDDLE_C = 60;
+
+// Root position and the inversions of the basic chord, plus a slash chord's bass an octave down.
+const findPianoVoicings = (chord) => {
+    const notes = getChordNotes(chord, MIDDLE_C);
+    const bass = chord.bass ? notes[0] : null;
+    const rootPosition = chord.bass ? notes.slice(1) : notes;
+    const inversions = [rootPosition];
+    const inversionCount = Math.min(rootPosition.length, 4) - 1;
+    for (let i = 1; i <= inversionCount && inversions.length < MAX_VOICINGS; i++) {
+        const previous = inversions[inversions.length - 1];
+        inversions.push([...previous.slice(1), previous[0] + 12]);
+    }
+    return inversions.map(voicing => ({ notes: bass === null ? voicing : [bass, ...voicing] }));
+};
+
+// --- Lookup ---
+const cache = new Map();
+
+// Voicings for a chord symbol on an instrument: fretted ones are { frets, baseFret } with one
+// fret per string (-1 muted, 0 open); piano ones are { notes } as MIDI numbers. Worked out
+// from the chord's notes, so any chord the parser understands gets diagrams.
+export const getVoicings = (chordName, instrument) => {
+    const cacheKey = `${instrument}:${chordName}`;
+    if (cache.has(cacheKey)) return cache.get(cacheKey);
+    const chord = parseChord(chordName);
+    let voicings = [];
+    if (chord && instrument === 'piano') voicings = findPianoVoicings(chord);
+    else if (chord && INSTRUMENTS[instrument]) voicings = findFrettedVoicings(chord, INSTRUMENTS[instrument]);
+    cache.set(cacheKey, voicings);
+    return voicings;
+};
+
+export const isMutedString = (fret) => fret === MUTED;
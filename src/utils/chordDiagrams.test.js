@@ -0,0 +1,45 @@
+import { getVoicings, isMutedString, INSTRUMENTS } from './chordDiagrams';
+
+const firstFrets = (name, instrument) => getVoicings(name, instrument)[0].frets;
+
+test('getVoicings finds the familiar open guitar shapes first', () => {
+    expect(firstFrets('C', 'guitar')).toEqual([-1, 3, 2, 0, 1, 0]);
+    expect(firstFrets('G', 'guitar')).toEqual([3, 2, 0, 0, 0, 3]);
+    expect(firstFrets('D', 'guitar')).toEqual([-1, -1, 0, 2, 3, 2]);
+    expect(firstFrets('Am', 'guitar')).toEqual([-1, 0, 2, 2, 1, 0]);
+    expect(firstFrets('E', 'guitar')).toEqual([0, 2, 2, 1, 0, 0]);
+});
+
+test('getVoicings barres chords that have no open shape', () => {
+    expect(getVoicings('F', 'guitar')[0]).toEqual({ frets: [1, 3, 3, 2, 1, 1], baseFret: 1 });
+    expect(firstFrets('F#m', 'guitar')).toEqual([2, 4, 4, 2, 2, 2]);
+});
+
+test('getVoicings puts a slash chord\'s bass on the lowest string', () => {
+    expect(firstFrets('D/F#', 'guitar')).toEqual([2, 0, 0, 2, 3, 2]);
+});
+
+test('getVoicings offers several voicings, moving up the neck', () => {
+    const voicings = getVoicings('G', 'guitar');
+    expect(voicings).toHaveLength(3);
+    expect(voicings.map(v => v.baseFret)).toEqual([1, 3, 5]);
+});
+
+test('getVoicings lets ukulele chords start on any string and never mutes one', () => {
+    expect(firstFrets('C', 'ukulele')).toEqual([0, 0, 0, 3]);
+    expect(firstFrets('G', 'ukulele')).toEqual([0, 2, 3, 2]);
+    expect(firstFrets('Am', 'ukulele')).toEqual([2, 0, 0, 0]);
+    expect(getVoicings('G7', 'ukulele').every(v => !v.frets.some(isMutedString))).toBe(true);
+    expect(firstFrets('G', 'ukulele')).toHaveLength(INSTRUMENTS.ukulele.tuning.length);
+});
+
+test('getVoicings gives piano inversions with a slash bass underneath', () => {
+    expect(getVoicings('C', 'piano')[0]).toEqual({ notes: [60, 64, 67] });
+    expect(getVoicings('C/E', 'piano').map(v => v.notes)).toEqual([[52, 60, 64, 67], [52, 64, 67, 72], [52, 67, 72, 76]]);
+});
+
+test('getVoicings returns nothing for text it cannot read', () => {
+    expect(getVoicings('???', 'guitar')).toEqual([]);
+    expect(getVoicings('N.C.', 'piano')).toEqual([]);
+    expect(getVoicings('C', 'banjo')).toEqual([]);
+});
@@ -0,0 +1,113 @@
+
+// --- Placed Chord Edits ---
+// Pure helpers over the editor's lines ([{ id, text, chords: [{ id, text, index }] }]).
+
+const updateLine = (lines, lineId, update) => lines.map(line => (line.id === lineId ? update(line) : line));
+
+export const findChord = (lines, lineId, chordId) => {
+    const line = lines.find(l => l.id === lineId);
+    return line ? line.chords.find(c => c.id === chordId) || null : null;
+};
+
+export const removeChord = (lines, lineId, chordId) => updateLine(lines, lineId, line => ({
+    ...line,
+    chords: line.chords.filter(c => c.id !== chordId)
+}));
+
+export const replaceChord = (lines, lineId, chordId, text) => updateLine(lines, lineId, line => ({
+    ...line,
+    chords: line.chords.map(c => (c.id === chordId ? { ...c, text } : c))
+}));
+
+// Moves a chord to another character, and optionally onto another line.
+export const moveChord = (lines, lineId, chordId, toLineId, index) => {
+    const chord = findChord(lines, lineId, chordId);
+    if (!chord) return lines;
+    const moved = { ...chord, index: Math.max(0, index) };
+    if (toLineId === lineId) {
+        return updateLine(lines, lineId, line => ({ ...line, chords: line.chords.map(c => (c.id === chordId ? moved : c)) }));
+    }
+    return updateLine(removeChord(lines, lineId, chordId), toLineId, line => ({ ...line, chords: [...line.chords, moved] }));
+};
+
+export const nudgeChord = (lines, lineId, chordId, amount) => {
+    const chord = findChord(lines, lineId, chordId);
+    return chord ? moveChord(lines, lineId, chordId, lineId, chord.index + amount) : lines;
+};
+
+// --- Chord Rows ---
+export const copyChordRow = (line) => [...line.chords]
+    .sort((a, b) => a.index - b.index)
+    .map(({ text, index }) => ({ text, index }));
+
+// Replaces a line's chords with a copied row, giving the pasted chords the fresh `ids`, in order.
+export const pasteChordRow = (lines, lineId, row, ids) => updateLine(lines, lineId, line => ({
+    ...line,
+    chords: row.map((chord, i) => ({ ...chord, id: ids[i] }))
+}));
+
+// --- Navigation ---
+// Chords in reading order: line by line, left to right.
+const chordsInOrder = (lines) => lines.flatMap(line => [...line.chords]
+    .sort((a, b) => a.index - b.index)
+    .map(chord => ({ lineId: line.id, chordId: chord.id, index: chord.index })));
+
+export const getAdjacentChord = (lines, selection, direction) => {
+    const ordered = chordsInOrder(lines);
+    const position = ordered.findIndex(c => c.lineId === selection.lineId && c.chordId === selection.chordId);
+    const next = ordered[position + direction];
+    return position === -1 || !next ? selection : { lineId: next.lineId, chordId: next.chordId };
+};
+
+// The chord on the nearest line above or below that sits closest to the selected one.
+export const getChordOnNearbyLine = (lines, selection, direction) => {
+    const current = findChord(lines, selection.lineId, selection.chordId);
+    const lineIndex = lines.findIndex(l => l.id === selection.lineId);
+    if (!current || lineIndex === -1) return selection;
+    for (let i = lineIndex + direction; i >= 0 && i < lines.length; i += direction) {
+        if (lines[i].chords.length === 0) continue;
+        const closest = lines[i].chords.reduce((best, c) => (
+            Math.abs(c.index - current.index) < Math.abs(best.index - current.index) ? c : best
+        ));
+        return { lineId: lines[i].id, chordId: closest.id };
+    }
+    return selection;
+};
+
+// --- Caret ---
+// Keyboard placement moves a caret ({ lineId, index }) through the lyric characters. It can go
+// one past the end of the text, or of the last chord, so chords can follow the words (and
+// instrumental lines with no words can take more than one chord).
+const getCaretLimit = (line) => Math.max(line.text.length, ...line.chords.map(c => c.index + c.text.length + 1));
+
+// Moves the caret by `dx` characters and `dy` lines, keeping it on the sheet. With no caret
+// yet, it starts at the beginning of the first line.
+export const moveCaret = (lines, caret, { dx = 0, dy = 0 } = {}) => {
+    if (lines.length === 0) return null;
+    const lineIndex = caret ? lines.findIndex(l => l.id === caret.lineId) : -1;
+    if (lineIndex === -1) return { lineId: lines[0].id, index: 0 };
+    const line = lines[Math.min(Math.max(lineIndex + dy, 0), lines.length - 1)];
+    return { lineId: line.id, index: Math.min(Math.max(caret.index + dx, 0), getCaretLimit(line)) };
+};
+
+export const getChordAtCaret = (lines, caret) => {
+    const line = caret && lines.find(l => l.id === caret.lineId);
+    return line ? line.chords.find(c => c.index === caret.index) || null : null;
+};
+
+// The word a character belongs to, or null for a space.
+export const getWordAt = (text, index) => {
+    if (!/\S/.test(text[index] || '')) return null;
+    const start = text.slice(0, index).search(/\S*$/);
+    const end = index + text.slice(index).search(/\s|$/);
+    return text.slice(start, end);
+};
+
+// Where the caret is, for screen readers: "'love', line 3".
+export const describeCaret = (lines, caret) => {
+    const line = lines.find(l => l.id === caret.lineId);
+    const lineNumber = lines.indexOf(line) + 1;
+    if (caret.index >= line.text.length) return `the end of line ${lineNumber}`;
+    const word = getWordAt(line.text, caret.index);
+    return `${word ? `'${word}'` : 'a space'}, line ${lineNumber}`;
+};
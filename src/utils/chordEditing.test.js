@@ -0,0 +1,94 @@
+import { findChord, removeChord, replaceChord, moveChord, nudgeChord, copyChordRow, pasteChordRow, getAdjacentChord, getChordOnNearbyLine, moveCaret, getChordAtCaret, getWordAt, describeCaret } from './chordEditing';
+
+const makeLines = () => [
+    { id: 0, text: 'Amazing grace', chords: [{ id: 'a', text: 'G', index: 0 }, { id: 'b', text: 'C', index: 8 }] },
+    { id: 1, text: 'How sweet the sound', chords: [] },
+    { id: 2, text: 'That saved a wretch', chords: [{ id: 'c', text: 'D', index: 5 }, { id: 'd', text: 'G', index: 14 }] }
+];
+
+describe('placed chord edits', () => {
+    test('replaces and removes a chord without touching the others', () => {
+        const lines = makeLines();
+        expect(findChord(replaceChord(lines, 0, 'b', 'C/E'), 0, 'b').text).toBe('C/E');
+        expect(removeChord(lines, 0, 'a')[0].chords.map(c => c.id)).toEqual(['b']);
+        expect(lines[0].chords).toHaveLength(2);
+    });
+
+    test('moves a chord along its line and onto another line', () => {
+        const lines = makeLines();
+        expect(findChord(moveChord(lines, 0, 'b', 0, 4), 0, 'b').index).toBe(4);
+        const moved = moveChord(lines, 0, 'b', 1, 9);
+        expect(moved[0].chords.map(c => c.id)).toEqual(['a']);
+        expect(moved[1].chords).toEqual([{ id: 'b', text: 'C', index: 9 }]);
+    });
+
+    test('never nudges a chord before the start of the line', () => {
+        expect(findChord(nudgeChord(makeLines(), 0, 'a', -1), 0, 'a').index).toBe(0);
+        expect(findChord(nudgeChord(makeLines(), 0, 'a', 1), 0, 'a').index).toBe(1);
+    });
+});
+
+describe('chord rows', () => {
+    test('pastes a copied row with fresh chord ids', () => {
+        const lines = makeLines();
+        const row = copyChordRow(lines[2]);
+        expect(row).toEqual([{ text: 'D', index: 5 }, { text: 'G', index: 14 }]);
+        expect(pasteChordRow(lines, 0, row, ['p1', 'p2'])[0].chords).toEqual([
+            { id: 'p1', text: 'D', index: 5 },
+            { id: 'p2', text: 'G', index: 14 },
+        ]);
+    });
+});
+
+describe('chord navigation', () => {
+    test('steps through chords in reading order and stops at the ends', () => {
+        const lines = makeLines();
+        expect(getAdjacentChord(lines, { lineId: 0, chordId: 'b' }, 1)).toEqual({ lineId: 2, chordId: 'c' });
+        expect(getAdjacentChord(lines, { lineId: 2, chordId: 'c' }, -1)).toEqual({ lineId: 0, chordId: 'b' });
+        expect(getAdjacentChord(lines, { lineId: 2, chordId: 'd' }, 1)).toEqual({ lineId: 2, chordId: 'd' });
+    });
+
+    test('jumps to the closest chord on the nearest line with chords', () => {
+        const lines = makeLines();
+        expect(getChordOnNearbyLine(lines, { lineId: 0, chordId: 'b' }, 1)).toEqual({ lineId: 2, chordId: 'c' });
+        expect(getChordOnNearbyLine(lines, { lineId: 2, chordId: 'd' }, -1)).toEqual({ lineId: 0, chordId: 'b' });
+        expect(getChordOnNearbyLine(lines, { lineId: 0, chordId: 'a' }, -1)).toEqual({ lineId: 0, chordId: 'a' });
+    });
+});
+
+describe('keyboard caret', () => {
+    test('starts at the first line and stays on the sheet', () => {
+        const lines = makeLines();
+        expect(moveCaret(lines, null)).toEqual({ lineId: 0, index: 0 });
+        expect(moveCaret([], null)).toBeNull();
+        expect(moveCaret(lines, { lineId: 0, index: 0 }, { dx: -1, dy: -1 })).toEqual({ lineId: 0, index: 0 });
+        expect(moveCaret(lines, { lineId: 2, index: 3 }, { dy: 1 })).toEqual({ lineId: 2, index: 3 });
+    });
+
+    test('keeps its column across lines unless the line is shorter', () => {
+        const lines = [...makeLines(), { id: 3, text: 'like me', chords: [] }];
+        expect(moveCaret(lines, { lineId: 1, index: 10 }, { dy: -1 })).toEqual({ lineId: 0, index: 10 });
+        expect(moveCaret(lines, { lineId: 2, index: 18 }, { dy: 1 })).toEqual({ lineId: 3, index: 7 });
+        expect(moveCaret(lines, { lineId: 1, index: 4 }, { dx: Infinity })).toEqual({ lineId: 1, index: 19 });
+    });
+
+    test('can pass the end of a line with no words to place more chords', () => {
+        const lines = [{ id: 0, text: '', chords: [{ id: 'a', text: 'D', index: 0 }] }];
+        expect(moveCaret(lines, { lineId: 0, index: 0 }, { dx: Infinity })).toEqual({ lineId: 0, index: 2 });
+    });
+
+    test('finds the chord at the caret', () => {
+        const lines = makeLines();
+        expect(getChordAtCaret(lines, { lineId: 2, index: 14 }).id).toBe('d');
+        expect(getChordAtCaret(lines, { lineId: 2, index: 15 })).toBeNull();
+    });
+
+    test('describes where it is by word and line', () => {
+        const lines = makeLines();
+        expect(getWordAt('How sweet the sound', 6)).toBe('sweet');
+        expect(getWordAt('How sweet the sound', 3)).toBeNull();
+        expect(describeCaret(lines, { lineId: 2, index: 14 })).toBe("'wretch', line 3");
+        expect(describeCaret(lines, { lineId: 1, index: 3 })).toBe('a space, line 2');
+        expect(describeCaret(lines, { lineId: 0, index: 13 })).toBe('the end of line 1');
+    });
+});
@@ -0,0 +1,243 @@
+import { NOTES } from './music';
+
+// --- Note Spelling ---
+const FLAT_NOTES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+const LETTER_PITCHES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const ACCIDENTAL_OFFSETS = { '': 0, '#': 1, '##': 2, b: -1, bb: -2 };
+
+// Major keys written with flats (F, Bb, Eb, Ab, Db) and minor keys written with flats
+// (Dm, Gm, Cm, Fm, Bbm, Ebm), by pitch class. F#/Gb and their relatives stay sharp to match
+// the Root Note select.
+const FLAT_MAJOR_KEYS = [5, 10, 3, 8, 1];
+const FLAT_MINOR_KEYS = [2, 7, 0, 5, 10, 3];
+const MINOR_SCALE_TYPES = ['minor', 'harmonic-minor', 'melodic-minor'];
+// The other modes are spelled like the major scale they're a rotation of (D Dorian like C),
+// found this many semitones below the tonic.
+const MODE_OFFSETS = { dorian: 2, phrygian: 4, lydian: 5, mixolydian: 7, locrian: 11 };
+
+const normalizeAccidentals = (text) => text.replace(/♯/g, '#').replace(/♭/g, 'b');
+
+export const noteToPitchClass = (note) => {
+    const match = normalizeAccidentals(note || '').match(/^([A-G])(##|bb|#|b)?$/);
+    if (!match) return null;
+    return (LETTER_PITCHES[match[1]] + ACCIDENTAL_OFFSETS[match[2] || ''] + 12) % 12;
+};
+
+export const keyPrefersFlats = (scaleKey, scaleType = 'major') => {
+    const pitchClass = noteToPitchClass(scaleKey);
+    if (pitchClass === null) return false;
+    if (MINOR_SCALE_TYPES.includes(scaleType)) return FLAT_MINOR_KEYS.includes(pitchClass);
+    return FLAT_MAJOR_KEYS.includes((pitchClass - (MODE_OFFSETS[scaleType] || 0) + 12) % 12);
+};
+
+export const spellNote = (pitchClass, preferFlats = false) => {
+    const index = ((pitchClass % 12) + 12) % 12;
+    return preferFlats ? FLAT_NOTES[index] : NOTES[index];
+};
+
+// --- Chord Symbol Parsing ---
+const NO_CHORD = ['N.C.', 'N.C', 'NC'];
+
+const CHORD_PATTERN = new RegExp(
+    '^([A-G])(##|bb|#|b)?' +
+    '(maj|Maj|MA|ma|M|Δ|min|mi|m|-|dim|°|ø|aug|\\+)?' +
+    '(6\\/9|69|13|11|9|7|6|5|2)?' +
+    '((?:sus[24]?|add[#b]?(?:2|4|6|9|11|13)|(?:maj|M|Δ)(?:7|9|11|13)|[#b+-](?:5|9|11|13)|no3|alt|[(),])*)' +
+    '(?:\\/([A-G](?:##|bb|#|b)?))?$'
+);
+const MODIFIER_PATTERN = /sus[24]?|add[#b]?(?:2|4|6|9|11|13)|(?:maj|M|Δ)(?:7|9|11|13)|[#b+-](?:5|9|11|13)|no3|alt/g;
+
+const QUALITY_TOKENS = {
+    maj: 'major', Maj: 'major', MA: 'major', ma: 'major', M: 'major', 'Δ': 'major',
+    min: 'minor', mi: 'minor', m: 'minor', '-': 'minor',
+    dim: 'diminished', '°': 'diminished',
+    'ø': 'half-diminished',
+    aug: 'augmented', '+': 'augmented',
+};
+
+export const isNoChord = (text) => NO_CHORD.includes((text || '').trim());
+
+// Parses a chord symbol such as "Bb7", "F#m7b5", "Cmaj9(#11)" or "D/F#" into its parts:
+// { root, quality, seventh, extension, sus, additions, alterations, bass, suffix }.
+// `suffix` is the text between the root and the slash, kept verbatim so transposing never
+// rewrites how the chord was spelled. Returns null for anything that isn't a chord.
+export const parseChord = (text) => {
+    const match = normalizeAccidentals((text || '').trim()).match(CHORD_PATTERN);
+    if (!match) return null;
+    const [, letter, accidental = '', qualityToken = '', extensionToken = '', modifierText = '', bass = null] = match;
+    if ((modifierText.match(/\(/g) || []).length !== (modifierText.match(/\)/g) || []).length) return null;
+
+    const modifiers = modifierText.match(MODIFIER_PATTERN) || [];
+    let quality = QUALITY_TOKENS[qualityToken] || 'major';
+    let extension = null;
+    let seventh = null;
+    let sus = null;
+    const additions = [];
+    const alterations = [];
+
+    // "maj"/"M" without a number just means a major triad; with one it names the major 7th.
+    const isMajorSeventhToken = quality === 'major' && qualityToken !== '';
+
+    if (extensionToken === '5') {
+        quality = 'power';
+    } else if (extensionToken === '6') {
+        additions.push('6');
+    } else if (extensionToken === '69' || extensionToken === '6/9') {
+        additions.push('6', '9');
+    } else if (extensionToken === '2') {
+        additions.push('2');
+    } else if (extensionToken) {
+        extension = Number(extensionToken);
+        if (quality === 'diminished') seventh = 'diminished';
+        else if (isMajorSeventhToken) seventh = 'major';
+        else seventh = 'minor';
+    }
+    if (quality === 'half-diminished') {
+        seventh = 'minor';
+        extension = extension || 7;
+    }
+
+    modifiers.forEach(modifier => {
+        if (modifier.startsWith('sus')) {
+            sus = modifier.slice(3) || '4';
+        } else if (modifier.startsWith('add')) {
+            additions.push(modifier.slice(3));
+        } else if (/^(maj|M|Δ)/.test(modifier)) {
+            seventh = 'major';
+            extension = Math.max(extension || 0, Number(modifier.replace(/^(maj|M|Δ)/, '')));
+        } else if (modifier === 'no3' || modifier === 'alt') {
+            alterations.push(modifier);
+        } else {
+            alterations.push(modifier.replace('+', '#').replace('-', 'b'));
+        }
+    });
+
+    return {
+        root: letter + accidental,
+        quality,
+        seventh,
+        extension,
+        sus,
+        additions,
+        alterations,
+        bass,
+        suffix: qualityToken + extensionToken + modifierText,
+    };
+};
+
+export const isValidChord = (text) => parseChord(text) !== null;
+
+export const formatChord = (chord) => `${chord.root}${chord.suffix}${chord.bass ? `/${chord.bass}` : ''}`;
+
+// --- Chord Tones ---
+const THIRD_INTERVALS = { major: 4, augmented: 4, minor: 3, diminished: 3, 'half-diminished': 3, power: null };
+const FIFTH_INTERVALS = { diminished: 6, 'half-diminished': 6, augmented: 8 };
+const SEVENTH_INTERVALS = { major: 11, minor: 10, diminished: 9 };
+const DEGREE_INTERVALS = { 2: 2, 4: 5, 5: 7, 6: 9, 9: 14, 11: 17, 13: 21 };
+
+// "#11" -> 18, "b9" -> 13, "6" -> 9.
+const degreeToInterval = (degree) => {
+    const match = degree.match(/^([#b]?)(\d+)$/);
+    if (!match || DEGREE_INTERVALS[match[2]] === undefined) return null;
+    return DEGREE_INTERVALS[match[2]] + (match[1] === '#' ? 1 : match[1] === 'b' ? -1 : 0);
+};
+
+// The semitones above the root that a chord contains, e.g. "G7" -> [0, 4, 7, 10] and
+// "Cmaj9" -> [0, 4, 7, 11, 14]. Takes a chord symbol or a parsed chord; null if unparseable.
+export const getChordIntervals = (chordOrText) => {
+    const chord = typeof chordOrText === 'string' ? parseChord(chordOrText) : chordOrText;
+    if (!chord) return null;
+    const intervals = new Set([0]);
+    const third = chord.sus ? DEGREE_INTERVALS[chord.sus] : THIRD_INTERVALS[chord.quality];
+    if (third !== null && !chord.alterations.includes('no3')) intervals.add(third);
+    let fifth = FIFTH_INTERVALS[chord.quality] || 7;
+    if (chord.seventh) intervals.add(SEVENTH_INTERVALS[chord.seventh]);
+    // A 9, 11 or 13 chord includes the tensions below it.
+    [9, 11, 13].filter(degree => chord.extension >= degree).forEach(degree => intervals.add(DEGREE_INTERVALS[degree]));
+    chord.additions.forEach(addition => {
+        const interval = degreeToInterval(addition);
+        if (interval !== null) intervals.add(interval);
+    });
+    chord.alterations.forEach(alteration => {
+        if (alteration === 'b5' || alteration === '#5') {
+            fifth = degreeToInterval(alteration);
+        } else {
+            const interval = degreeToInterval(alteration);
+            if (interval !== null) {
+                intervals.delete(DEGREE_INTERVALS[alteration.slice(1)]);
+                intervals.add(interval);
+            }
+        }
+    });
+    intervals.add(fifth);
+    return [...intervals].sort((a, b) => a - b);
+};
+
+// The pitch classes a chord sounds, its bass note included.
+export const getChordPitchClasses = (chordOrText) => {
+    const chord = typeof chordOrText === 'string' ? parseChord(chordOrText) : chordOrText;
+    const intervals = getChordIntervals(chord);
+    if (!intervals) return null;
+    const root = noteToPitchClass(chord.root);
+    const pitchClasses = intervals.map(interval => (root + interval) % 12);
+    if (chord.bass) pitchClasses.push(noteToPitchClass(chord.bass));
+    return [...new Set(pitchClasses)];
+};
+
+// MIDI notes for a chord: its tones stacked up from the root, in the octave starting at
+// `lowestNote` (C3 by default), with a slash chord's bass an octave below that.
+export const getChordNotes = (chordOrText, lowestNote = 48) => {
+    const chord = typeof chordOrText === 'string' ? parseChord(chordOrText) : chordOrText;
+    const intervals = getChordIntervals(chord);
+    if (!intervals) return null;
+    const rootNote = lowestNote + noteToPitchClass(chord.root);
+    const notes = intervals.map(interval => rootNote + interval);
+    return chord.bass ? [lowestNote - 12 + noteToPitchClass(chord.bass), ...notes] : notes;
+};
+
+// --- Transposition ---
+// Moves a chord by `amount` semitones, spelling the root and bass for the target key.
+// Returns null when the text can't be parsed, so callers can flag it.
+export const transposeChord = (chordName, amount, { scaleKey, scaleType } = {}) => {
+    if (isNoChord(chordName)) return chordName;
+    const chord = parseChord(chordName);
+    if (!chord) return null;
+    const preferFlats = scaleKey ? keyPrefersFlats(scaleKey, scaleType) : chord.root.endsWith('b');
+    const moveNote = (note) => spellNote(noteToPitchClass(note) + amount, preferFlats);
+    return formatChord({
+        ...chord,
+        root: moveNote(chord.root),
+        bass: chord.bass ? moveNote(chord.bass) : null,
+    });
+};
+
+export const transposeKey = (scaleKey, amount) => NOTES[(((NOTES.indexOf(scaleKey) + amount) % 12) + 12) % 12];
+
+// --- Chord Building ---
+export const BUILDER_QUALITIES = [
+    { label: 'Major', suffix: '' },
+    { label: 'Minor', suffix: 'm' },
+    { label: 'Diminished', suffix: 'dim' },
+    { label: 'Augmented', suffix: 'aug' },
+    { label: 'Sus2', suffix: 'sus2' },
+    { label: 'Sus4', suffix: 'sus4' },
+    { label: 'Power (5)', suffix: '5' },
+];
+export const BUILDER_EXTENSIONS = ['', '6', '7', 'maj7', '9', 'maj9', '11', '13', 'add9'];
+
+// Assembles a symbol from the palette's chord builder, e.g. ('A', 'm', 'maj7', 'E') -> "Am(maj7)/E".
+// Returns null for combinations that don't make a chord (a power chord with a 7th, say).
+export const buildChordSymbol = ({ root, quality = '', extension = '', bass = '' }) => {
+    let suffix;
+    if (quality.startsWith('sus')) {
+        suffix = extension === 'add9' ? `${quality}add9` : `${extension}${quality}`;
+    } else if (quality === 'm' && extension.startsWith('maj')) {
+        suffix = `m(${extension})`;
+    } else if (quality === '5' && extension) {
+        return null;
+    } else {
+        suffix = quality + extension;
+    }
+    const symbol = `${root}${suffix}${bass && bass !== root ? `/${bass}` : ''}`;
+    return isValidChord(symbol) ? symbol : null;
+};
@@ -0,0 +1,210 @@
+import {
+    parseChord,
+    isValidChord,
+    formatChord,
+    transposeChord,
+    transposeKey,
+    keyPrefersFlats,
+    spellNote,
+    noteToPitchClass,
+    isNoChord,
+    buildChordSymbol,
+    getChordIntervals,
+    getChordPitchClasses,
+    getChordNotes,
+} from './chordParser';
+
+describe('noteToPitchClass', () => {
+    test.each([
+        ['C', 0], ['C#', 1], ['Db', 1], ['B', 11], ['Cb', 11], ['E#', 5], ['F##', 7], ['Bbb', 9], ['G♭', 6],
+    ])('%s is pitch class %i', (note, pitchClass) => {
+        expect(noteToPitchClass(note)).toBe(pitchClass);
+    });
+
+    test('rejects non-notes', () => {
+        expect(noteToPitchClass('H')).toBeNull();
+        expect(noteToPitchClass('')).toBeNull();
+    });
+});
+
+describe('parseChord', () => {
+    test('reads root, accidental and bass', () => {
+        expect(parseChord('Bb7')).toMatchObject({ root: 'Bb', quality: 'major', seventh: 'minor', extension: 7, bass: null, suffix: '7' });
+        expect(parseChord('D/F#')).toMatchObject({ root: 'D', quality: 'major', bass: 'F#', suffix: '' });
+        expect(parseChord('F♯m')).toMatchObject({ root: 'F#', quality: 'minor' });
+    });
+
+    test.each([
+        ['C', { quality: 'major', seventh: null, extension: null }],
+        ['Cm', { quality: 'minor', seventh: null }],
+        ['Cmin7', { quality: 'minor', seventh: 'minor', extension: 7 }],
+        ['C-7', { quality: 'minor', seventh: 'minor', extension: 7 }],
+        ['Cmaj7', { quality: 'major', seventh: 'major', extension: 7 }],
+        ['CM7', { quality: 'major', seventh: 'major', extension: 7 }],
+        ['CΔ9', { quality: 'major', seventh: 'major', extension: 9 }],
+        ['Cmaj', { quality: 'major', seventh: null, extension: null }],
+        ['CmM7', { quality: 'minor', seventh: 'major', extension: 7 }],
+        ['Cm(maj7)', { quality: 'minor', seventh: 'major', extension: 7 }],
+        ['C7', { quality: 'major', seventh: 'minor', extension: 7 }],
+        ['C13', { quality: 'major', seventh: 'minor', extension: 13 }],
+        ['Cdim', { quality: 'diminished', seventh: null }],
+        ['Cdim7', { quality: 'diminished', seventh: 'diminished', extension: 7 }],
+        ['C°7', { quality: 'diminished', seventh: 'diminished', extension: 7 }],
+        ['Cø', { quality: 'half-diminished', seventh: 'minor', extension: 7 }],
+        ['Caug', { quality: 'augmented' }],
+        ['C+7', { quality: 'augmented', seventh: 'minor', extension: 7 }],
+        ['C5', { quality: 'power' }],
+    ])('understands the quality of %s', (symbol, expected) => {
+        expect(parseChord(symbol)).toMatchObject(expected);
+    });
+
+    test('reads suspensions, additions and alterations', () => {
+        expect(parseChord('Csus4')).toMatchObject({ sus: '4' });
+        expect(parseChord('Csus')).toMatchObject({ sus: '4' });
+        expect(parseChord('G7sus2')).toMatchObject({ sus: '2', extension: 7 });
+        expect(parseChord('Cadd9')).toMatchObject({ additions: ['9'], seventh: null });
+        expect(parseChord('Cm(add9)')).toMatchObject({ quality: 'minor', additions: ['9'] });
+        expect(parseChord('C6')).toMatchObject({ additions: ['6'] });
+        expect(parseChord('C6/9')).toMatchObject({ additions: ['6', '9'], bass: null });
+        expect(parseChord('C69/E')).toMatchObject({ additions: ['6', '9'], bass: 'E' });
+        expect(parseChord('C2')).toMatchObject({ additions: ['2'] });
+        expect(parseChord('F#m7b5')).toMatchObject({ root: 'F#', quality: 'minor', extension: 7, alterations: ['b5'] });
+        expect(parseChord('A7(b9,#11)')).toMatchObject({ alterations: ['b9', '#11'] });
+        expect(parseChord('E7+5')).toMatchObject({ alterations: ['#5'] });
+        expect(parseChord('G7alt')).toMatchObject({ alterations: ['alt'] });
+    });
+
+    test.each(['', 'H7', 'c', 'Cx', 'Chorus', 'Go', 'Am I', 'C/', 'C/H', 'Cmaj7)', 'C7(b9', '[G]'])('rejects %p', (text) => {
+        expect(parseChord(text)).toBeNull();
+        expect(isValidChord(text)).toBe(false);
+    });
+
+    test('formatChord rebuilds the original symbol', () => {
+        ['Bb7', 'D/F#', 'Cmaj9(#11)', 'F#m7b5', 'Gsus4/A', 'C6/9'].forEach(symbol => {
+            expect(formatChord(parseChord(symbol))).toBe(symbol);
+        });
+    });
+});
+
+describe('isNoChord', () => {
+    test('recognizes no-chord markers', () => {
+        expect(isNoChord('N.C.')).toBe(true);
+        expect(isNoChord('NC')).toBe(true);
+        expect(isNoChord('C')).toBe(false);
+    });
+});
+
+describe('key spelling', () => {
+    test('keyPrefersFlats follows the key signature', () => {
+        expect(keyPrefersFlats('F', 'major')).toBe(true);
+        expect(keyPrefersFlats('A#', 'major')).toBe(true);
+        expect(keyPrefersFlats('G', 'major')).toBe(false);
+        expect(keyPrefersFlats('F#', 'major')).toBe(false);
+        expect(keyPrefersFlats('D', 'minor')).toBe(true);
+        expect(keyPrefersFlats('E', 'minor')).toBe(false);
+        expect(keyPrefersFlats('nope')).toBe(false);
+    });
+
+    test('spellNote wraps pitch classes', () => {
+        expect(spellNote(10, true)).toBe('Bb');
+        expect(spellNote(10, false)).toBe('A#');
+        expect(spellNote(-1)).toBe('B');
+        expect(spellNote(13, true)).toBe('Db');
+    });
+});
+
+describe('transposeChord', () => {
+    test('keeps the full quality when moving the root', () => {
+        expect(transposeChord('Bb7', 2)).toBe('C7');
+        expect(transposeChord('Cmaj9(#11)', 2, { scaleKey: 'D', scaleType: 'major' })).toBe('Dmaj9(#11)');
+        expect(transposeChord('F#m7b5', 1, { scaleKey: 'G', scaleType: 'major' })).toBe('Gm7b5');
+    });
+
+    test('transposes the bass note of slash chords', () => {
+        expect(transposeChord('D/F#', 2, { scaleKey: 'E', scaleType: 'major' })).toBe('E/G#');
+        expect(transposeChord('C/E', -2, { scaleKey: 'A#', scaleType: 'major' })).toBe('Bb/D');
+    });
+
+    test('spells accidentals from the target key', () => {
+        expect(transposeChord('G#', 2, { scaleKey: 'F', scaleType: 'major' })).toBe('Bb');
+        expect(transposeChord('Ab', 1, { scaleKey: 'A', scaleType: 'major' })).toBe('A');
+        expect(transposeChord('C', 3, { scaleKey: 'G', scaleType: 'minor' })).toBe('Eb');
+        expect(transposeChord('C', 3, { scaleKey: 'E', scaleType: 'major' })).toBe('D#');
+    });
+
+    test('keeps the chord\'s own spelling when no key is given', () => {
+        expect(transposeChord('Eb', 2)).toBe('F');
+        expect(transposeChord('Eb', 1)).toBe('E');
+        expect(transposeChord('Db', -2)).toBe('B');
+        expect(transposeChord('Bb', 1)).toBe('B');
+        expect(transposeChord('Ab', 2)).toBe('Bb');
+        expect(transposeChord('G#', 2)).toBe('A#');
+    });
+
+    test('wraps around the octave in both directions', () => {
+        expect(transposeChord('B', 1)).toBe('C');
+        expect(transposeChord('C', -1)).toBe('B');
+        expect(transposeChord('A', 24)).toBe('A');
+    });
+
+    test('leaves no-chord markers alone and flags unparseable text', () => {
+        expect(transposeChord('N.C.', 3)).toBe('N.C.');
+        expect(transposeChord('Chorus', 3)).toBeNull();
+    });
+});
+
+test('transposeKey walks the Root Note list', () => {
+    expect(transposeKey('C', 1)).toBe('C#');
+    expect(transposeKey('C', -1)).toBe('B');
+    expect(transposeKey('A', 14)).toBe('B');
+});
+
+describe('buildChordSymbol', () => {
+    test('combines root, quality, extension and bass', () => {
+        expect(buildChordSymbol({ root: 'G', extension: '7' })).toBe('G7');
+        expect(buildChordSymbol({ root: 'A', quality: 'm', extension: '7' })).toBe('Am7');
+        expect(buildChordSymbol({ root: 'C', quality: 'sus4' })).toBe('Csus4');
+        expect(buildChordSymbol({ root: 'C', bass: 'E' })).toBe('C/E');
+        expect(buildChordSymbol({ root: 'Bb', extension: 'add9' })).toBe('Bbadd9');
+    });
+
+    test('orders suspensions and minor-major sevenths the usual way', () => {
+        expect(buildChordSymbol({ root: 'D', quality: 'sus4', extension: '7' })).toBe('D7sus4');
+        expect(buildChordSymbol({ root: 'D', quality: 'sus2', extension: 'add9' })).toBe('Dsus2add9');
+        expect(buildChordSymbol({ root: 'A', quality: 'm', extension: 'maj7', bass: 'E' })).toBe('Am(maj7)/E');
+    });
+
+    test('drops a bass that repeats the root and rejects impossible chords', () => {
+        expect(buildChordSymbol({ root: 'C', bass: 'C' })).toBe('C');
+        expect(buildChordSymbol({ root: 'E', quality: '5', extension: '7' })).toBeNull();
+    });
+});
+
+describe('getChordIntervals', () => {
+    test.each([
+        ['C', [0, 4, 7]],
+        ['Am', [0, 3, 7]],
+        ['G7', [0, 4, 7, 10]],
+        ['Bm7b5', [0, 3, 6, 10]],
+        ['Bdim7', [0, 3, 6, 9]],
+        ['Dsus4', [0, 5, 7]],
+        ['Cmaj9', [0, 4, 7, 11, 14]],
+        ['C7#9', [0, 4, 7, 10, 15]],
+        ['E5', [0, 7]],
+        ['Caug', [0, 4, 8]],
+    ])('%s', (chord, intervals) => {
+        expect(getChordIntervals(chord)).toEqual(intervals);
+    });
+
+    test('getChordPitchClasses includes the bass note', () => {
+        expect(getChordPitchClasses('C/Bb')).toEqual([0, 4, 7, 10]);
+        expect(getChordPitchClasses('nope')).toBeNull();
+    });
+
+    test('getChordNotes stacks the chord from its root with the bass underneath', () => {
+        expect(getChordNotes('C')).toEqual([48, 52, 55]);
+        expect(getChordNotes('Am7', 60)).toEqual([69, 72, 76, 79]);
+        expect(getChordNotes('D/F#')).toEqual([42, 50, 54, 57]);
+        expect(getChordNotes('N.C.')).toBeNull();
+    });
+});
@@ -0,0 +1,12 @@
+// Saves generated text as a file through a temporary object-URL link.
+export const downloadFile = (fileName, content, mimeType = 'text/plain') => {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
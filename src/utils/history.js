@@ -0,0 +1,37 @@
+// --- Undo/Redo History ---
+// Each entry is a snapshot of the sheet as it was before an edit. Snapshots share the
+// (never mutated) line arrays with editor state, so keeping many of them is cheap.
+export const MAX_HISTORY = 100;
+
+export const createHistory = () => ({ past: [], future: [] });
+
+export const createSnapshot = ({ lines, lyrics, scaleKey, scaleType, editorStep, arrangement, capo }) => ({ lines, lyrics, scaleKey, scaleType, editorStep, arrangement, capo });
+
+export const canUndo = (history) => history.past.length > 0;
+export const canRedo = (history) => history.future.length > 0;
+
+// Records the state before an edit; a new edit discards anything that could be redone.
+export const pushHistory = (history, snapshot) => ({
+    past: [...history.past, snapshot].slice(-MAX_HISTORY),
+    future: []
+});
+
+// Both return the snapshot to restore and the history after moving `current` across, or null.
+export const undoHistory = (history, current) => {
+    if (!canUndo(history)) return null;
+    return {
+        snapshot: history.past[history.past.length - 1],
+        history: { past: history.past.slice(0, -1), future: [current, ...history.future] }
+    };
+};
+
+export const redoHistory = (history, current) => {
+    if (!canRedo(history)) return null;
+    return {
+        snapshot: history.future[0],
+        history: { past: [...history.past, current], future: history.future.slice(1) }
+    };
+};
+
+// Guards against session data written by another version of the app.
+export const isHistory = (value) => !!value && Array.isArray(value.past) && Array.isArray(value.future);
@@ -0,0 +1,37 @@
+import { MAX_HISTORY, createHistory, pushHistory, undoHistory, redoHistory, canUndo, canRedo, isHistory } from './history';
+
+const snap = (lyrics) => ({ lines: [], lyrics, scaleKey: 'C', scaleType: 'major', editorStep: 'lyrics' });
+
+test('undo restores the previous snapshot and redo goes forward again', () => {
+    const history = pushHistory(pushHistory(createHistory(), snap('a')), snap('b'));
+    const undone = undoHistory(history, snap('c'));
+    expect(undone.snapshot.lyrics).toBe('b');
+    expect(canRedo(undone.history)).toBe(true);
+    const redone = redoHistory(undone.history, undone.snapshot);
+    expect(redone.snapshot.lyrics).toBe('c');
+    expect(redone.history.past.map(s => s.lyrics)).toEqual(['a', 'b']);
+});
+
+test('a new edit clears the redo stack', () => {
+    const { history } = undoHistory(pushHistory(createHistory(), snap('a')), snap('b'));
+    expect(canRedo(pushHistory(history, snap('a')))).toBe(false);
+});
+
+test('nothing to undo or redo returns null', () => {
+    expect(canUndo(createHistory())).toBe(false);
+    expect(undoHistory(createHistory(), snap('a'))).toBeNull();
+    expect(redoHistory(createHistory(), snap('a'))).toBeNull();
+});
+
+test('history keeps only the most recent snapshots', () => {
+    let history = createHistory();
+    for (let i = 0; i <= MAX_HISTORY; i++) history = pushHistory(history, snap(String(i)));
+    expect(history.past).toHaveLength(MAX_HISTORY);
+    expect(history.past[0].lyrics).toBe('1');
+});
+
+test('isHistory rejects malformed session data', () => {
+    expect(isHistory(createHistory())).toBe(true);
+    expect(isHistory({ past: [] })).toBe(false);
+    expect(isHistory(null)).toBe(false);
+});
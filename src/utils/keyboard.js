@@ -0,0 +1,74 @@
+// --- Keyboard Shortcuts ---
+// Maps a keydown to the editor action it stands for, as a plain descriptor ({ type, ... }) for
+// App to carry out, or null when the key isn't ours and should do what it normally does.
+// `event` needs key, code and the modifier flags. `state` describes the editor:
+// { isTyping, hasTextSelection, editorStep, hasSelectedChord, isCaretActive, hasCopiedRow,
+//   armedChord, chords, sevenths }, where chords and sevenths are the palette's chord names.
+
+// Handled, but with nothing to do: the browser's default is still suppressed.
+const NO_ACTION = { type: 'none' };
+const NO_ARMED_CHORD = 'No chord is armed. Press 1 to 7 to place one.';
+
+// Number keys pick from the palette: 1-7 for the scale's chords, with Shift for its sevenths.
+// Returns { chord } (undefined past the end of the palette) or null for other keys.
+export const getShortcutChord = (event, { chords, sevenths }) => {
+    const digit = /^Digit[1-7]$/.test(event.code) ? parseInt(event.code.slice(5), 10) : null;
+    if (event.shiftKey && digit) return { chord: sevenths[digit - 1] };
+    if (event.key >= '1' && event.key <= '7') return { chord: chords[parseInt(event.key, 10) - 1] };
+    return null;
+};
+
+// Arrow keys, Delete and Enter act on the selected chord in the editor. Ctrl/Cmd+C and V copy
+// and paste chord rows unless the user has selected text elsewhere on the page.
+const getSelectionAction = (event, state) => {
+    const { key } = event;
+    if ((event.ctrlKey || event.metaKey) && (key === 'c' || key === 'v') && !state.hasTextSelection) {
+        if (key === 'c') return { type: 'copyRow' };
+        return state.hasCopiedRow ? { type: 'pasteRow' } : null;
+    }
+    if (key === 'ArrowLeft' || key === 'ArrowRight') {
+        const direction = key === 'ArrowLeft' ? -1 : 1;
+        return { type: event.shiftKey ? 'nudgeChord' : 'selectAdjacentChord', direction };
+    }
+    if (key === 'ArrowUp' || key === 'ArrowDown') return { type: 'selectNearbyChord', direction: key === 'ArrowUp' ? -1 : 1 };
+    if (key === 'Delete' || key === 'Backspace') return { type: 'deleteChord' };
+    if (key === 'Enter') return { type: 'editChord' };
+    if (key === 'Escape') return { type: 'deselectChord' };
+    return null;
+};
+
+// While the chord editor has focus, arrows move the caret and chords are placed at it.
+const getCaretAction = (event, state) => {
+    const { key } = event;
+    const shortcut = getShortcutChord(event, state);
+    if (shortcut) return shortcut.chord ? { type: 'placeAtCaret', chord: shortcut.chord, arm: true } : NO_ACTION;
+    if (key === 'ArrowLeft' || key === 'ArrowRight') return { type: 'moveCaret', move: { dx: key === 'ArrowLeft' ? -1 : 1 } };
+    if (key === 'ArrowUp' || key === 'ArrowDown') return { type: 'moveCaret', move: { dy: key === 'ArrowUp' ? -1 : 1 } };
+    if (key === 'Home' || key === 'End') return { type: 'moveCaret', move: { dx: key === 'Home' ? -Infinity : Infinity } };
+    if (key === 'Enter') {
+        return state.armedChord ? { type: 'placeAtCaret', chord: state.armedChord, arm: false } : { type: 'announce', message: NO_ARMED_CHORD };
+    }
+    if (key === 'Delete' || key === 'Backspace') return { type: 'deleteAtCaret' };
+    return null;
+};
+
+export const getKeyAction = (event, state) => {
+    if (event.altKey || state.isTyping) return null;
+    const key = event.key.toLowerCase();
+    if ((event.ctrlKey || event.metaKey) && (key === 'z' || key === 'y')) {
+        return { type: event.shiftKey || key === 'y' ? 'redo' : 'undo' };
+    }
+    const isPlacing = state.editorStep === 'chords';
+    if (isPlacing && state.hasSelectedChord) {
+        const action = getSelectionAction(event, state);
+        if (action) return action;
+    }
+    if (isPlacing && !state.hasSelectedChord && state.isCaretActive) {
+        const action = getCaretAction(event, state);
+        if (action) return action;
+    }
+    const shortcut = getShortcutChord(event, state);
+    if (shortcut) return shortcut.chord ? { type: 'toggleArm', chord: shortcut.chord } : NO_ACTION;
+    if (event.key === 'Escape') return state.armedChord ? { type: 'disarm' } : NO_ACTION;
+    return null;
+};
@@ -0,0 +1,62 @@
+import { getShortcutChord, getKeyAction } from './keyboard';
+
+const PALETTE = { chords: ['C', 'Dm', 'Em', 'F', 'G', 'Am', 'Bdim'], sevenths: ['Cmaj7', 'Dm7', 'Em7', 'Fmaj7', 'G7', 'Am7', 'Bm7b5'] };
+const idle = { ...PALETTE, isTyping: false, hasTextSelection: false, editorStep: 'chords', hasSelectedChord: false, isCaretActive: false, hasCopiedRow: false, armedChord: null };
+const selecting = { ...idle, hasSelectedChord: true };
+const atCaret = { ...idle, isCaretActive: true };
+
+const press = (key, modifiers = {}) => ({ key, code: /^[1-7]$/.test(key) ? `Digit${key}` : '', ...modifiers });
+
+test('getShortcutChord reads the palette number keys, with Shift for sevenths', () => {
+    expect(getShortcutChord(press('5'), PALETTE)).toEqual({ chord: 'G' });
+    expect(getShortcutChord({ key: '%', code: 'Digit5', shiftKey: true }, PALETTE)).toEqual({ chord: 'G7' });
+    expect(getShortcutChord(press('8'), PALETTE)).toBeNull();
+    expect(getShortcutChord(press('1'), { chords: [], sevenths: [] })).toEqual({ chord: undefined });
+});
+
+test('getKeyAction leaves keys alone while typing or with Alt held', () => {
+    expect(getKeyAction(press('5'), { ...idle, isTyping: true })).toBeNull();
+    expect(getKeyAction(press('5', { altKey: true }), idle)).toBeNull();
+    expect(getKeyAction(press('q'), idle)).toBeNull();
+});
+
+test('getKeyAction undoes and redoes with Ctrl/Cmd+Z and Y', () => {
+    expect(getKeyAction(press('z', { ctrlKey: true }), idle)).toEqual({ type: 'undo' });
+    expect(getKeyAction(press('Z', { metaKey: true, shiftKey: true }), idle)).toEqual({ type: 'redo' });
+    expect(getKeyAction(press('y', { ctrlKey: true }), idle)).toEqual({ type: 'redo' });
+});
+
+test('getKeyAction moves, nudges, edits and removes the selected chord', () => {
+    expect(getKeyAction(press('ArrowLeft'), selecting)).toEqual({ type: 'selectAdjacentChord', direction: -1 });
+    expect(getKeyAction(press('ArrowRight', { shiftKey: true }), selecting)).toEqual({ type: 'nudgeChord', direction: 1 });
+    expect(getKeyAction(press('ArrowUp'), selecting)).toEqual({ type: 'selectNearbyChord', direction: -1 });
+    expect(getKeyAction(press('Backspace'), selecting)).toEqual({ type: 'deleteChord' });
+    expect(getKeyAction(press('Enter'), selecting)).toEqual({ type: 'editChord' });
+    expect(getKeyAction(press('Escape'), selecting)).toEqual({ type: 'deselectChord' });
+    expect(getKeyAction(press('ArrowLeft'), { ...selecting, editorStep: 'lyrics' })).toBeNull();
+});
+
+test('getKeyAction copies and pastes chord rows unless page text is selected', () => {
+    expect(getKeyAction(press('c', { ctrlKey: true }), selecting)).toEqual({ type: 'copyRow' });
+    expect(getKeyAction(press('v', { metaKey: true }), { ...selecting, hasCopiedRow: true })).toEqual({ type: 'pasteRow' });
+    expect(getKeyAction(press('v', { ctrlKey: true }), selecting)).toBeNull();
+    expect(getKeyAction(press('c', { ctrlKey: true }), { ...selecting, hasTextSelection: true })).toBeNull();
+});
+
+test('getKeyAction moves the caret and places chords at it', () => {
+    expect(getKeyAction(press('ArrowDown'), atCaret)).toEqual({ type: 'moveCaret', move: { dy: 1 } });
+    expect(getKeyAction(press('End'), atCaret)).toEqual({ type: 'moveCaret', move: { dx: Infinity } });
+    expect(getKeyAction(press('2'), atCaret)).toEqual({ type: 'placeAtCaret', chord: 'Dm', arm: true });
+    expect(getKeyAction(press('Enter'), { ...atCaret, armedChord: 'F' })).toEqual({ type: 'placeAtCaret', chord: 'F', arm: false });
+    expect(getKeyAction(press('Enter'), atCaret)).toMatchObject({ type: 'announce' });
+    expect(getKeyAction(press('Delete'), atCaret)).toEqual({ type: 'deleteAtCaret' });
+    expect(getKeyAction(press('ArrowDown'), { ...atCaret, hasSelectedChord: true })).toEqual({ type: 'selectNearbyChord', direction: 1 });
+});
+
+test('getKeyAction arms palette chords and disarms with Escape', () => {
+    expect(getKeyAction(press('6'), idle)).toEqual({ type: 'toggleArm', chord: 'Am' });
+    expect(getKeyAction(press('1'), { ...idle, chords: [] })).toEqual({ type: 'none' });
+    expect(getKeyAction(press('Escape'), { ...idle, armedChord: 'Am' })).toEqual({ type: 'disarm' });
+    expect(getKeyAction(press('Escape'), idle)).toEqual({ type: 'none' });
+    expect(getKeyAction(press('ArrowLeft'), idle)).toBeNull();
+});
@@ -0,0 +1,94 @@
+import { formatScaleName } from './scales';
+import { DEFAULT_SCROLL_SPEED } from './performance';
+
+// --- Song & Setlist Records ---
+export const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const createSong = (fields = {}) => {
+    const now = Date.now();
+    return {
+        title: '',
+        artist: '',
+        tags: [],
+        scaleKey: 'C',
+        scaleType: 'major',
+        lyrics: '',
+        lines: [],
+        editorStep: 'lyrics',
+        arrangement: null,
+        capo: 0,
+        scrollSpeed: DEFAULT_SCROLL_SPEED,
+        ...fields,
+        id: createId(),
+        createdAt: now,
+        updatedAt: now,
+    };
+};
+
+// The editable part of a song, in a fixed key order so two versions can be compared as JSON.
+export const getSongContent = (song) => ({
+    title: song.title || '',
+    artist: song.artist || '',
+    tags: song.tags || [],
+    scaleKey: song.scaleKey || 'C',
+    scaleType: song.scaleType || 'major',
+    lyrics: song.lyrics || '',
+    lines: song.lines || [],
+    editorStep: song.editorStep || 'lyrics',
+    arrangement: song.arrangement || null,
+    capo: song.capo || 0,
+    scrollSpeed: song.scrollSpeed || DEFAULT_SCROLL_SPEED,
+});
+
+export const duplicateSong = (song) => createSong({
+    ...JSON.parse(JSON.stringify(song)),
+    title: `${song.title || 'Untitled'} (copy)`,
+});
+
+// Builds the first library song from the single sheet that used to live in localStorage.
+export const songFromLegacySheet = (data) => createSong({
+    title: data.songTitle || '',
+    scaleKey: data.scaleKey || 'C',
+    scaleType: data.scaleType || 'major',
+    lyrics: data.lyrics || '',
+    lines: data.lines || [],
+    editorStep: data.editorStep || 'lyrics',
+});
+
+export const createSetlist = (name) => {
+    const now = Date.now();
+    return { id: createId(), name: name || 'New Setlist', songs: [], createdAt: now, updatedAt: now };
+};
+
+export const parseTags = (text) => [...new Set(text.split(',').map(tag => tag.trim()).filter(Boolean))];
+
+export const formatSongKey = (song) => formatScaleName(song);
+
+export const getSongTitle = (song) => (song && song.title) || 'Untitled';
+
+// --- Searching ---
+const textFields = (song) => [song.title, song.artist, song.scaleType, ...(song.tags || [])]
+    .filter(Boolean)
+    .map(field => field.toLowerCase());
+
+// Every word of the query has to match the start of a word in the title, artist, scale type
+// or tags, or be the song's key. Keys only match whole, so "g" finds songs in G but not G#.
+export const searchSongs = (songs, query) => {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const sorted = [...songs].sort((a, b) => getSongTitle(a).localeCompare(getSongTitle(b)));
+    if (terms.length === 0) return sorted;
+    return sorted.filter(song => {
+        const key = formatSongKey(song).toLowerCase();
+        const words = textFields(song).flatMap(field => field.split(/[\s,()-]+/));
+        return terms.every(term => term === key || words.some(word => word.startsWith(term)));
+    });
+};
+
+// --- Setlist Ordering ---
+export const moveItem = (list, from, to) => {
+    if (to < 0 || to >= list.length) return list;
+    const next = [...list];
+    const [item] = next.splice(from, 1);
+    next.splice(to, 0, item);
+    return next;
+};
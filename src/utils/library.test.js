@@ -0,0 +1,56 @@
+import { createSong, duplicateSong, songFromLegacySheet, searchSongs, parseTags, moveItem, getSongContent } from './library';
+
+const songs = [
+    createSong({ title: 'Amazing Grace', artist: 'John Newton', scaleKey: 'G', tags: ['hymn'] }),
+    createSong({ title: 'Wonderwall', artist: 'Oasis', scaleKey: 'F#', scaleType: 'minor', tags: ['rock', 'acoustic'] }),
+    createSong({ title: 'Hallelujah', artist: 'Leonard Cohen', scaleKey: 'C', tags: ['ballad'] }),
+];
+
+test('createSong gives every song its own id', () => {
+    expect(songs[0].id).not.toBe(songs[1].id);
+    expect(songs[0]).toMatchObject({ lyrics: '', lines: [], editorStep: 'lyrics', scaleType: 'major' });
+});
+
+test('duplicateSong copies content under a new id', () => {
+    const copy = duplicateSong({ ...songs[0], lines: [{ id: 0, text: 'x', chords: [] }] });
+    expect(copy.id).not.toBe(songs[0].id);
+    expect(copy.title).toBe('Amazing Grace (copy)');
+    expect(copy.lines).toEqual([{ id: 0, text: 'x', chords: [] }]);
+});
+
+test('songFromLegacySheet keeps the old single sheet', () => {
+    const song = songFromLegacySheet({ scaleKey: 'D', scaleType: 'minor', lyrics: 'hi', lines: [{ id: 0, text: 'hi', chords: [] }], editorStep: 'chords' });
+    expect(getSongContent(song)).toEqual({
+        title: '', artist: '', tags: [], scaleKey: 'D', scaleType: 'minor', lyrics: 'hi',
+        lines: [{ id: 0, text: 'hi', chords: [] }], editorStep: 'chords', arrangement: null, capo: 0, scrollSpeed: 3,
+    });
+});
+
+describe('searchSongs', () => {
+    const titles = (query) => searchSongs(songs, query).map(song => song.title);
+
+    test('sorts by title when there is no query', () => {
+        expect(titles('')).toEqual(['Amazing Grace', 'Hallelujah', 'Wonderwall']);
+    });
+
+    test('matches title, artist and tags by word prefix', () => {
+        expect(titles('grace')).toEqual(['Amazing Grace']);
+        expect(titles('cohen')).toEqual(['Hallelujah']);
+        expect(titles('rock oasis')).toEqual(['Wonderwall']);
+    });
+
+    test('matches keys exactly', () => {
+        expect(titles('F#m')).toEqual(['Wonderwall']);
+        expect(titles('minor')).toEqual(['Wonderwall']);
+        expect(titles('C')).toEqual(['Hallelujah']);
+    });
+});
+
+test('parseTags trims and de-duplicates', () => {
+    expect(parseTags(' rock, ,acoustic,rock ')).toEqual(['rock', 'acoustic']);
+});
+
+test('moveItem reorders and ignores moves past either end', () => {
+    expect(moveItem(['a', 'b', 'c'], 2, 0)).toEqual(['c', 'a', 'b']);
+    expect(moveItem(['a', 'b'], 0, -1)).toEqual(['a', 'b']);
+});
@@ -0,0 +1,26 @@
+// --- Note Constants ---
+export const NOTES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+const FLAT_TO_SHARP = { Cb: 'B', Db: 'C#', Eb: 'D#', Fb: 'E', Gb: 'F#', Ab: 'G#', Bb: 'A#', 'E#': 'F', 'B#': 'C' };
+
+// Maps any spelling of a note name (e.g. "Bb", "e#") onto the sharp-based NOTES list.
+// Returns null when the text isn't a note.
+export const normalizeNote = (note) => {
+    if (!note) return null;
+    const match = note.trim().match(/^([A-Ga-g])([#b]?)$/);
+    if (!match) return null;
+    const name = match[1].toUpperCase() + match[2];
+    if (NOTES.includes(name)) return name;
+    return FLAT_TO_SHARP[name] || null;
+};
+
+// Parses a key signature such as "G", "Bbm", "F# minor" or "Eb major".
+export const parseKey = (text) => {
+    if (!text) return null;
+    const match = text.trim().match(/^([A-Ga-g][#b]?)\s*(m|min|minor|[Mm]aj|[Mm]ajor|M)?$/);
+    if (!match) return null;
+    const note = normalizeNote(match[1]);
+    if (!note) return null;
+    const isMinor = ['m', 'min', 'minor'].includes(match[2]);
+    return { scaleKey: note, scaleType: isMinor ? 'minor' : 'major' };
+};
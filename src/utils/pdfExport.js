@@ -0,0 +1,84 @@
+import { jsPDF } from 'jspdf';
+import { buildChordLine, formatKeyName } from './sheetExport';
+import { parseSectionHeader } from './sections';
+
+// --- Page Layout (in mm) ---
+const MARGIN = 15;
+const HEADER_HEIGHT = 20;
+const MAX_FONT_SIZE = 11;
+const MIN_FONT_SIZE = 7;
+const LINE_HEIGHT_FACTOR = 1.6;
+const PT_TO_MM = 25.4 / 72;
+const COURIER_CHAR_WIDTH = 0.6; // Courier advance width, as a fraction of the font size
+const CHORD_COLOR = [192, 38, 211];
+
+// Each sheet line becomes a block of rows: its chord line (when it has chords) plus its lyric
+// line. Blocks are never split, so a chord line always shares a page with its lyric.
+export const toBlocks = (lines) => lines.map(line => {
+    const chordLine = buildChordLine(line.chords);
+    const rows = [];
+    if (chordLine) rows.push({ type: 'chords', text: chordLine });
+    const section = parseSectionHeader(line.text);
+    if (section) rows.push({ type: 'section', text: section.label });
+    else if (line.text || !chordLine) rows.push({ type: 'lyric', text: line.text });
+    return rows;
+});
+
+export const paginateBlocks = (blocks, firstPageRows, pageRows) => {
+    const pages = [[]];
+    let available = firstPageRows;
+    blocks.forEach(block => {
+        if (block.length > available && pages[pages.length - 1].length > 0) {
+            pages.push([]);
+            available = pageRows;
+        }
+        pages[pages.length - 1].push(block);
+        available -= block.length;
+    });
+    return pages;
+};
+
+export const createPdf = (lines, { title, key, capo } = {}) => {
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const blocks = toBlocks(lines);
+
+    // Shrink the font until the widest row fits the page width.
+    const widestRow = Math.max(1, ...blocks.flat().map(row => row.text.length));
+    const fittingSize = (pageWidth - MARGIN * 2) / (widestRow * COURIER_CHAR_WIDTH * PT_TO_MM);
+    const fontSize = Math.max(MIN_FONT_SIZE, Math.min(MAX_FONT_SIZE, fittingSize));
+    const lineHeight = fontSize * PT_TO_MM * LINE_HEIGHT_FACTOR;
+    const rowsPerPage = Math.floor((pageHeight - MARGIN * 2) / lineHeight);
+    const firstPageRows = Math.floor((pageHeight - MARGIN * 2 - HEADER_HEIGHT) / lineHeight);
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(18);
+    doc.text(title || 'Chord Sheet', MARGIN, MARGIN + 6);
+    const details = [formatKeyName(key) && `Key: ${formatKeyName(key)}`, capo && `Capo ${capo}`].filter(Boolean);
+    if (details.length) {
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(11);
+        doc.text(details.join('   '), MARGIN, MARGIN + 13);
+    }
+
+    paginateBlocks(blocks, firstPageRows, rowsPerPage).forEach((page, pageIndex) => {
+        if (pageIndex > 0) doc.addPage();
+        let y = MARGIN + (pageIndex === 0 ? HEADER_HEIGHT : 0) + lineHeight;
+        page.flat().forEach(row => {
+            const isChordRow = row.type === 'chords';
+            if (row.type === 'section') {
+                doc.setFont('helvetica', 'bold');
+                doc.setFontSize(fontSize * 1.1);
+            } else {
+                doc.setFont('courier', isChordRow ? 'bold' : 'normal');
+                doc.setFontSize(fontSize);
+            }
+            doc.setTextColor(...(isChordRow ? CHORD_COLOR : [0, 0, 0]));
+            if (row.text) doc.text(row.text, MARGIN, y);
+            y += lineHeight;
+        });
+    });
+    doc.setTextColor(0, 0, 0);
+    return doc;
+};
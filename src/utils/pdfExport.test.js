@@ -0,0 +1,35 @@
+import { toBlocks, paginateBlocks, createPdf } from './pdfExport';
+import { toNashvilleLines } from './analysis';
+
+test('toBlocks pairs each chord line with its lyric', () => {
+    expect(toBlocks([
+        { text: 'Hello', chords: [{ text: 'G', index: 0 }] },
+        { text: 'there', chords: [] },
+        { text: '', chords: [{ text: 'C', index: 2 }] },
+    ])).toEqual([
+        [{ type: 'chords', text: 'G' }, { type: 'lyric', text: 'Hello' }],
+        [{ type: 'lyric', text: 'there' }],
+        [{ type: 'chords', text: '  C' }],
+    ]);
+});
+
+test('paginateBlocks never splits a block across pages', () => {
+    const pair = [{ type: 'chords', text: 'G' }, { type: 'lyric', text: 'x' }];
+    const single = [{ type: 'lyric', text: 'y' }];
+    const pages = paginateBlocks([pair, single, pair, pair], 4, 3);
+    expect(pages.map(page => page.map(block => block.length))).toEqual([[2, 1], [2], [2]]);
+});
+
+test('createPdf adds pages for long sheets', () => {
+    const lines = Array.from({ length: 80 }, (_, i) => ({ text: `line ${i}`, chords: [{ text: 'Am', index: 0 }] }));
+    const doc = createPdf(lines, { title: 'Long Song', key: { scaleKey: 'A', scaleType: 'minor' } });
+    expect(doc.getNumberOfPages()).toBeGreaterThan(1);
+});
+
+test('createPdf writes Nashville numbers as plain text the PDF fonts can draw', () => {
+    const lines = [{ text: 'Amazing grace', chords: [{ text: 'G7', index: 0 }, { text: 'Cmaj7', index: 8 }] }];
+    const numbered = toNashvilleLines(lines, { scaleKey: 'C', scaleType: 'major' });
+    const pdf = createPdf(numbered, { title: 'Grace' }).output();
+    expect(pdf).toContain('(57      1maj7) Tj');
+    expect(pdf).not.toContain('\u0000');
+});
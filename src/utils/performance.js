@@ -0,0 +1,63 @@
+import { NOTES } from './music';
+import { transposeChord } from './chordParser';
+import { getShapeKey, toShapeLines } from './capo';
+import { toNashvilleLines } from './analysis';
+import { getSections, resolveArrangement } from './sections';
+
+// --- Display ---
+export const DEFAULT_FONT_SIZE = 28;
+export const MIN_FONT_SIZE = 16;
+export const MAX_FONT_SIZE = 72;
+export const FONT_SIZE_STEP = 4;
+
+// Autoscroll speed is saved with each song as a step from 1 to MAX_SCROLL_SPEED.
+export const DEFAULT_SCROLL_SPEED = 3;
+export const MAX_SCROLL_SPEED = 10;
+const PIXELS_PER_SECOND_PER_STEP = 8;
+
+export const getScrollPixelsPerSecond = (scrollSpeed) => scrollSpeed * PIXELS_PER_SECOND_PER_STEP;
+
+export const clampFontSize = (fontSize) => Math.min(MAX_FONT_SIZE, Math.max(MIN_FONT_SIZE, fontSize));
+
+export const clampScrollSpeed = (scrollSpeed) => Math.min(MAX_SCROLL_SPEED, Math.max(1, scrollSpeed));
+
+// --- Performance Sheet ---
+// A setlist entry can play a song in another key; the scale type stays the song's own.
+export const getPerformanceKey = (song, keyOverride) => ({
+    scaleKey: keyOverride || song.scaleKey || 'C',
+    scaleType: song.scaleType || 'major',
+});
+
+const transposeLines = (lines, amount, targetKey) => lines.map(line => ({
+    ...line,
+    chords: line.chords.map(chord => {
+        const transposed = transposeChord(chord.text, amount, targetKey);
+        return transposed === null ? chord : { ...chord, text: transposed };
+    })
+}));
+
+// The song's arranged sections as the final sheet would show them in the performance key:
+// in capo shapes when `showShapes` is on and the song has a capo, and in Nashville numbers
+// when `useNashville` is on.
+export const getPerformanceSheet = (song, { keyOverride, showShapes, useNashville }) => {
+    const key = getPerformanceKey(song, keyOverride);
+    const amount = NOTES.indexOf(key.scaleKey) - NOTES.indexOf(song.scaleKey || 'C');
+    const concertLines = amount === 0 ? song.lines || [] : transposeLines(song.lines || [], amount, key);
+    const capo = showShapes ? song.capo || 0 : 0;
+    const viewKey = capo ? getShapeKey(key, capo) : key;
+    const viewLines = toShapeLines(concertLines, key, capo);
+    const sheetLines = useNashville ? toNashvilleLines(viewLines, viewKey) : viewLines;
+    return { key, capo, sections: resolveArrangement(getSections(sheetLines), song.arrangement) };
+};
+
+// --- Navigation ---
+// Positions are { songIndex, sectionIndex }; `sectionCounts` has each song's number of sections.
+// Paging on from a song's last section opens the next song, and back from its first section
+// opens the previous song at its last section. The ends of the setlist stay put.
+export const movePosition = ({ songIndex, sectionIndex }, direction, sectionCounts) => {
+    const targetSection = sectionIndex + direction;
+    if (targetSection >= 0 && targetSection < sectionCounts[songIndex]) return { songIndex, sectionIndex: targetSection };
+    const targetSong = songIndex + direction;
+    if (targetSong < 0 || targetSong >= sectionCounts.length) return { songIndex, sectionIndex };
+    return { songIndex: targetSong, sectionIndex: direction > 0 ? 0 : Math.max(0, sectionCounts[targetSong] - 1) };
+};
@@ -0,0 +1,63 @@
+import { getPerformanceKey, getPerformanceSheet, movePosition, clampFontSize, clampScrollSpeed, MAX_FONT_SIZE, MIN_FONT_SIZE } from './performance';
+
+const song = {
+    scaleKey: 'G',
+    scaleType: 'major',
+    capo: 2,
+    arrangement: null,
+    lines: [
+        { id: 0, text: '[Verse]', chords: [] },
+        { id: 1, text: 'Amazing grace', chords: [{ id: 1, text: 'G', index: 0 }, { id: 2, text: 'D7/F#', index: 8 }] },
+        { id: 2, text: '[Chorus]', chords: [] },
+        { id: 3, text: 'How sweet', chords: [{ id: 3, text: 'C', index: 0 }] },
+    ],
+};
+
+const chordsOf = (sheet) => sheet.sections.flatMap(entry => entry.section.lines.flatMap(line => line.chords.map(c => c.text)));
+
+test('getPerformanceKey applies a setlist key override to the song\'s scale', () => {
+    expect(getPerformanceKey(song, null)).toEqual({ scaleKey: 'G', scaleType: 'major' });
+    expect(getPerformanceKey({ ...song, scaleType: 'minor' }, 'A')).toEqual({ scaleKey: 'A', scaleType: 'minor' });
+});
+
+test('getPerformanceSheet transposes to the override key and keeps the sections', () => {
+    const sheet = getPerformanceSheet(song, { keyOverride: 'A#', showShapes: false, useNashville: false });
+    expect(sheet.key.scaleKey).toBe('A#');
+    expect(sheet.capo).toBe(0);
+    expect(sheet.sections.map(entry => entry.section.name)).toEqual(['Verse', 'Chorus']);
+    expect(chordsOf(sheet)).toEqual(['Bb', 'F7/A', 'Eb']);
+});
+
+test('getPerformanceSheet can show capo shapes and Nashville numbers', () => {
+    const shapes = getPerformanceSheet(song, { keyOverride: null, showShapes: true, useNashville: false });
+    expect(shapes.capo).toBe(2);
+    expect(chordsOf(shapes)).toEqual(['F', 'C7/E', 'Bb']);
+    expect(chordsOf(getPerformanceSheet(song, { keyOverride: null, showShapes: false, useNashville: true }))).toEqual(['1', '57/7', '4']);
+});
+
+describe('movePosition', () => {
+    const counts = [3, 0, 2];
+
+    test('steps through sections within a song', () => {
+        expect(movePosition({ songIndex: 0, sectionIndex: 0 }, 1, counts)).toEqual({ songIndex: 0, sectionIndex: 1 });
+        expect(movePosition({ songIndex: 2, sectionIndex: 1 }, -1, counts)).toEqual({ songIndex: 2, sectionIndex: 0 });
+    });
+
+    test('moves on to the neighbouring song at either end', () => {
+        expect(movePosition({ songIndex: 0, sectionIndex: 2 }, 1, counts)).toEqual({ songIndex: 1, sectionIndex: 0 });
+        expect(movePosition({ songIndex: 2, sectionIndex: 0 }, -1, counts)).toEqual({ songIndex: 1, sectionIndex: 0 });
+        expect(movePosition({ songIndex: 1, sectionIndex: 0 }, -1, counts)).toEqual({ songIndex: 0, sectionIndex: 2 });
+    });
+
+    test('stays put at the ends of the setlist', () => {
+        expect(movePosition({ songIndex: 0, sectionIndex: 0 }, -1, counts)).toEqual({ songIndex: 0, sectionIndex: 0 });
+        expect(movePosition({ songIndex: 2, sectionIndex: 1 }, 1, counts)).toEqual({ songIndex: 2, sectionIndex: 1 });
+    });
+});
+
+test('clampFontSize and clampScrollSpeed keep settings in range', () => {
+    expect(clampFontSize(200)).toBe(MAX_FONT_SIZE);
+    expect(clampFontSize(2)).toBe(MIN_FONT_SIZE);
+    expect(clampScrollSpeed(0)).toBe(1);
+    expect(clampScrollSpeed(4)).toBe(4);
+});
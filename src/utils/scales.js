@@ -0,0 +1,90 @@
+import { NOTES } from './music';
+import { keyPrefersFlats, spellNote } from './chordParser';
+
+// --- Scale Tables ---
+export const MAJOR_SCALE_INTERVALS = [0, 2, 4, 5, 7, 9, 11];
+export const MINOR_SCALE_INTERVALS = [0, 2, 3, 5, 7, 8, 10];
+
+// Every scale the Scale Type select offers. The church modes are rotations of the major scale;
+// harmonic minor raises the natural minor's 7th and melodic minor its 6th and 7th.
+export const SCALE_TYPES = [
+    { value: 'major', label: 'Major (Ionian)', intervals: MAJOR_SCALE_INTERVALS },
+    { value: 'minor', label: 'Minor (Aeolian)', intervals: MINOR_SCALE_INTERVALS },
+    { value: 'dorian', label: 'Dorian', intervals: [0, 2, 3, 5, 7, 9, 10] },
+    { value: 'phrygian', label: 'Phrygian', intervals: [0, 1, 3, 5, 7, 8, 10] },
+    { value: 'lydian', label: 'Lydian', intervals: [0, 2, 4, 6, 7, 9, 11] },
+    { value: 'mixolydian', label: 'Mixolydian', intervals: [0, 2, 4, 5, 7, 9, 10] },
+    { value: 'locrian', label: 'Locrian', intervals: [0, 1, 3, 5, 6, 8, 10] },
+    { value: 'harmonic-minor', label: 'Harmonic Minor', intervals: [0, 2, 3, 5, 7, 8, 11] },
+    { value: 'melodic-minor', label: 'Melodic Minor', intervals: [0, 2, 3, 5, 7, 9, 11] },
+];
+
+// Triads and seventh chords named by the semitones of their chord tones above the root.
+const TRIAD_TYPES = {
+    '4,7': { suffix: '', type: 'major' },
+    '3,7': { suffix: 'm', type: 'minor' },
+    '3,6': { suffix: 'dim', type: 'diminished' },
+    '4,8': { suffix: 'aug', type: 'augmented' },
+};
+
+const SEVENTH_CHORD_TYPES = {
+    '4,7,11': { suffix: 'maj7', type: 'major' },
+    '4,7,10': { suffix: '7', type: 'dominant' },
+    '3,7,10': { suffix: 'm7', type: 'minor' },
+    '3,6,10': { suffix: 'm7b5', type: 'half-diminished' },
+    '3,6,9': { suffix: 'dim7', type: 'diminished' },
+    '3,7,11': { suffix: 'm(maj7)', type: 'minor' },
+    '4,8,11': { suffix: 'maj7#5', type: 'augmented' },
+    '4,8,10': { suffix: '+7', type: 'augmented' },
+};
+
+const findScaleType = (scaleType) => SCALE_TYPES.find(scale => scale.value === scaleType) || SCALE_TYPES[0];
+
+export const getScaleIntervals = (scaleType) => findScaleType(scaleType).intervals;
+
+// Scales with a minor third over the tonic (Dorian, harmonic minor...) get a minor tonic chord.
+export const isMinorScale = (scaleType) => getScaleIntervals(scaleType)[2] === 3;
+
+// The key as a chord symbol ("C", "Am", "Dm" for D Dorian), for places that expect one.
+export const getTonicChordName = ({ scaleKey, scaleType }) => (isMinorScale(scaleType) ? `${scaleKey}m` : scaleKey);
+
+// "C", "Am", or "D Dorian" for the modes.
+export const formatScaleName = ({ scaleKey, scaleType }) => {
+    if (scaleType === 'major' || scaleType === 'minor' || !scaleType) return getTonicChordName({ scaleKey, scaleType });
+    return `${scaleKey} ${findScaleType(scaleType).label}`;
+};
+
+// Builds one chord per degree by stacking every other scale note: `size` 3 for triads, 4 for sevenths.
+const stackChords = (key, scaleType, size, chordTypes) => {
+    const rootNoteIndex = NOTES.indexOf(key);
+    const preferFlats = keyPrefersFlats(key, scaleType);
+    const intervals = getScaleIntervals(scaleType);
+    return intervals.map((interval, i) => {
+        const above = (step) => (intervals[(i + step) % 7] - interval + 12) % 12;
+        const chordTones = [2, 4, 6].slice(0, size - 1).map(above);
+        const chordType = chordTypes[chordTones.join(',')];
+        const root = spellNote(rootNoteIndex + interval, preferFlats);
+        return { name: root + chordType.suffix, type: chordType.type };
+    });
+};
+
+export const getScaleChords = (key, scaleType) => stackChords(key, scaleType, 3, TRIAD_TYPES);
+
+// Diatonic seventh chords, built by stacking every other scale note on each degree.
+export const getScaleSevenths = (key, scaleType) => stackChords(key, scaleType, 4, SEVENTH_CHORD_TYPES);
+
+// --- Borrowed Chords ---
+// Common chords borrowed from the parallel scale: a major-sounding key borrows bIII, iv, bVI
+// and bVII from natural minor; a minor-sounding one borrows I, IV and V from major. Chords the
+// scale already has (bVII in Mixolydian, IV in Dorian) are left out.
+const BORROWED_DEGREES = {
+    major: { from: 'minor', degrees: [2, 3, 5, 6] },
+    minor: { from: 'major', degrees: [0, 3, 4] },
+};
+
+// Spelled as in the parallel scale, so bVI in C is Ab rather than G#.
+export const getBorrowedChords = (key, scaleType) => {
+    const { from, degrees } = BORROWED_DEGREES[isMinorScale(scaleType) ? 'minor' : 'major'];
+    const ownChords = getScaleChords(key, scaleType).map(chord => chord.name);
+    return getScaleChords(key, from).filter((chord, i) => degrees.includes(i) && !ownChords.includes(chord.name));
+};
@@ -0,0 +1,50 @@
+import { getScaleChords, getScaleSevenths, getBorrowedChords, isMinorScale, formatScaleName, getTonicChordName } from './scales';
+
+const names = (chords) => chords.map(c => c.name);
+
+test('getScaleChords builds the diatonic triads', () => {
+    expect(names(getScaleChords('C', 'major'))).toEqual(['C', 'Dm', 'Em', 'F', 'G', 'Am', 'Bdim']);
+    expect(names(getScaleChords('A', 'minor'))).toEqual(['Am', 'Bdim', 'C', 'Dm', 'Em', 'F', 'G']);
+});
+
+test('getScaleChords spells flat keys with flats', () => {
+    expect(names(getScaleChords('F', 'major'))).toEqual(['F', 'Gm', 'Am', 'Bb', 'C', 'Dm', 'Edim']);
+});
+
+test('getScaleSevenths stacks diatonic sevenths', () => {
+    expect(names(getScaleSevenths('C', 'major'))).toEqual(['Cmaj7', 'Dm7', 'Em7', 'Fmaj7', 'G7', 'Am7', 'Bm7b5']);
+    expect(names(getScaleSevenths('E', 'minor'))).toEqual(['Em7', 'F#m7b5', 'Gmaj7', 'Am7', 'Bm7', 'Cmaj7', 'D7']);
+    expect(names(getScaleSevenths('A#', 'major'))[4]).toBe('F7');
+});
+
+test('getScaleChords handles the modes and minor variants', () => {
+    expect(names(getScaleChords('D', 'dorian'))).toEqual(['Dm', 'Em', 'F', 'G', 'Am', 'Bdim', 'C']);
+    expect(names(getScaleChords('G', 'mixolydian'))).toEqual(['G', 'Am', 'Bdim', 'C', 'Dm', 'Em', 'F']);
+    expect(names(getScaleChords('F', 'lydian'))).toEqual(['F', 'G', 'Am', 'Bdim', 'C', 'Dm', 'Em']);
+    expect(names(getScaleChords('A', 'harmonic-minor'))).toEqual(['Am', 'Bdim', 'Caug', 'Dm', 'E', 'F', 'G#dim']);
+    expect(names(getScaleChords('A', 'melodic-minor'))).toEqual(['Am', 'Bm', 'Caug', 'D', 'E', 'F#dim', 'G#dim']);
+});
+
+test('getScaleSevenths gives harmonic minor its V7 and diminished seventh', () => {
+    expect(names(getScaleSevenths('A', 'harmonic-minor'))).toEqual(['Am(maj7)', 'Bm7b5', 'Cmaj7#5', 'Dm7', 'E7', 'Fmaj7', 'G#dim7']);
+});
+
+test('modes are spelled like their parent major scale', () => {
+    expect(names(getScaleChords('G', 'dorian'))).toEqual(['Gm', 'Am', 'Bb', 'C', 'Dm', 'Edim', 'F']);
+    expect(names(getScaleChords('C', 'mixolydian'))).toContain('Bb');
+});
+
+test('getBorrowedChords offers the common chords from the parallel scale', () => {
+    expect(names(getBorrowedChords('C', 'major'))).toEqual(['Eb', 'Fm', 'Ab', 'Bb']);
+    expect(names(getBorrowedChords('G', 'mixolydian'))).toEqual(['Bb', 'Cm', 'Eb']);
+    expect(names(getBorrowedChords('A', 'minor'))).toEqual(['A', 'D', 'E']);
+    expect(names(getBorrowedChords('A', 'harmonic-minor'))).toEqual(['A', 'D']);
+});
+
+test('key names follow the tonic chord, with modes spelled out', () => {
+    expect(isMinorScale('dorian')).toBe(true);
+    expect(isMinorScale('lydian')).toBe(false);
+    expect(formatScaleName({ scaleKey: 'A', scaleType: 'minor' })).toBe('Am');
+    expect(formatScaleName({ scaleKey: 'D', scaleType: 'dorian' })).toBe('D Dorian');
+    expect(getTonicChordName({ scaleKey: 'D', scaleType: 'dorian' })).toBe('Dm');
+});
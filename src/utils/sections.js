@@ -0,0 +1,91 @@
+import { isValidChord } from './chordParser';
+
+// --- Song Sections ---
+// A section starts at a header line such as "[Chorus]" or "[Verse 2]" and runs until the next
+// header. "[Repeat Chorus]", or a second "[Chorus]", with nothing under it refers back to the
+// earlier section instead of copying its lines; with lines of its own it is a section of its own.
+const HEADER_PATTERN = /^\s*\[([^[\]]+)\]\s*$/;
+const REPEAT_PATTERN = /^repeat\s+(.+)$/i;
+
+export const parseSectionHeader = (text) => {
+    const match = (text || '').match(HEADER_PATTERN);
+    if (!match) return null;
+    const label = match[1].trim();
+    // A lone "[G]" is a chord, not a section.
+    if (!label || isValidChord(label)) return null;
+    const repeat = label.match(REPEAT_PATTERN);
+    return { label, name: repeat ? repeat[1].trim() : label, isRepeat: !!repeat };
+};
+
+const toSectionKey = (name) => name.trim().toLowerCase().replace(/\s+/g, ' ') || 'untitled';
+
+const isBlankLine = (line) => !line.text.trim() && line.chords.length === 0;
+
+// Groups lines into sections: [{ key, name, label, header, lines, refKey }]. Lines before the first
+// header make an unnamed section. Repeats have no key of their own, only the refKey of the
+// section they point to; a name used twice with its own lines gets a numbered key, and a
+// "[Repeat Chorus]" with its own lines is named by its whole label.
+export const getSections = (lines) => {
+    const groups = [];
+    lines.forEach(line => {
+        const header = parseSectionHeader(line.text);
+        if (header || groups.length === 0) {
+            groups.push({ header: header ? line : null, parsed: header, lines: [] });
+        }
+        if (!header) groups[groups.length - 1].lines.push(line);
+    });
+
+    const firstKeys = {};
+    const usedKeys = new Set();
+    return groups.map(({ header, parsed, lines: sectionLines }) => {
+        const isRepeat = !!parsed && sectionLines.every(isBlankLine);
+        const name = !parsed ? '' : parsed.isRepeat && !isRepeat ? parsed.label : parsed.name;
+        const baseKey = toSectionKey(name);
+        if (isRepeat && firstKeys[baseKey]) {
+            return { key: null, name, label: parsed.label, header, lines: sectionLines, refKey: firstKeys[baseKey] };
+        }
+        let key = baseKey;
+        let label = name || 'Untitled';
+        for (let n = 2; usedKeys.has(key); n++) {
+            key = `${baseKey} #${n}`;
+            label = `${name || 'Untitled'} #${n}`;
+        }
+        usedKeys.add(key);
+        if (!firstKeys[baseKey]) firstKeys[baseKey] = key;
+        return { key, name, label, header, lines: sectionLines, refKey: null };
+    });
+};
+
+export const hasNamedSections = (sections) => sections.some(section => section.header);
+
+// --- Arrangement ---
+// An arrangement is the play order as a list of section keys; the same key can appear more
+// than once. Without one (or when none of its keys exist any more) the song plays top to bottom.
+export const getDefaultArrangement = (sections) => sections.map(section => section.refKey || section.key);
+
+export const resolveArrangement = (sections, arrangement) => {
+    const byKey = new Map(sections.filter(section => section.key).map(section => [section.key, section]));
+    const customKeys = (arrangement || []).filter(key => byKey.has(key));
+    const keys = customKeys.length > 0 ? customKeys : getDefaultArrangement(sections);
+    const seen = new Set();
+    return keys.map(key => {
+        const isRepeat = seen.has(key);
+        seen.add(key);
+        return { key, section: byKey.get(key), isRepeat };
+    });
+};
+
+export const getSectionLabel = ({ section, isRepeat }) => (isRepeat ? `${section.label} (repeat)` : section.label);
+
+// The lines in play order, with each repeat reusing the lines of the section it refers to.
+export const arrangeLines = (lines, arrangement) => resolveArrangement(getSections(lines), arrangement)
+    .flatMap(({ section }) => (section.header ? [section.header, ...section.lines] : section.lines));
+
+// Puts a "[Name]" header above a line. Line ids are their positions, so they're renumbered.
+export const insertSectionHeader = (lines, beforeLineId, name) => {
+    const position = lines.findIndex(line => line.id === beforeLineId);
+    if (position === -1) return lines;
+    const header = { id: null, text: `[${name}]`, chords: [] };
+    return [...lines.slice(0, position), header, ...lines.slice(position)]
+        .map((line, index) => ({ ...line, id: index }));
+};
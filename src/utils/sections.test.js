@@ -0,0 +1,80 @@
+import { parseSectionHeader, getSections, resolveArrangement, arrangeLines, getSectionLabel, insertSectionHeader } from './sections';
+
+const toLines = (texts) => texts.map((text, id) => ({ id, text, chords: [] }));
+
+const song = toLines([
+    'Intro riff',
+    '[Verse 1]',
+    'Amazing grace',
+    '',
+    '[Chorus]',
+    'How sweet the sound',
+    '[Verse 2]',
+    'Twas grace',
+    '[Repeat Chorus]',
+]);
+
+describe('parseSectionHeader', () => {
+    test('reads bracketed labels and repeats', () => {
+        expect(parseSectionHeader('[Chorus]')).toEqual({ label: 'Chorus', name: 'Chorus', isRepeat: false });
+        expect(parseSectionHeader('  [Repeat Chorus] ')).toEqual({ label: 'Repeat Chorus', name: 'Chorus', isRepeat: true });
+    });
+
+    test('ignores chords and ordinary lyrics', () => {
+        expect(parseSectionHeader('[G]')).toBeNull();
+        expect(parseSectionHeader('[Am7]')).toBeNull();
+        expect(parseSectionHeader('I said [hey] there')).toBeNull();
+    });
+});
+
+describe('getSections', () => {
+    test('groups lines under their headers with an unnamed lead-in', () => {
+        const sections = getSections(song);
+        expect(sections.map(s => s.key)).toEqual(['untitled', 'verse 1', 'chorus', 'verse 2', null]);
+        expect(sections[1].lines.map(l => l.text)).toEqual(['Amazing grace', '']);
+        expect(sections[4].refKey).toBe('chorus');
+    });
+
+    test('treats a reused name with no lines as a repeat and numbers one with lines', () => {
+        const sections = getSections(toLines(['[Verse]', 'one', '[Verse]', 'two', '[Verse]', '']));
+        expect(sections.map(s => s.key)).toEqual(['verse', 'verse #2', null]);
+        expect(sections[1].label).toBe('Verse #2');
+        expect(sections[2].refKey).toBe('verse');
+    });
+
+    test('keeps the lines under a repeat header as a section of their own', () => {
+        const lines = toLines(['[Chorus]', 'la la', '[Repeat Chorus]', 'la la la', '[Repeat Chorus]']);
+        const sections = getSections(lines);
+        expect(sections.map(s => s.key)).toEqual(['chorus', 'repeat chorus', null]);
+        expect(sections[1]).toMatchObject({ label: 'Repeat Chorus', refKey: null });
+        expect(sections[1].lines.map(l => l.text)).toEqual(['la la la']);
+        expect(sections[2].refKey).toBe('chorus');
+        expect(arrangeLines(lines, null).map(l => l.text)).toEqual(['[Chorus]', 'la la', '[Repeat Chorus]', 'la la la', '[Chorus]', 'la la']);
+    });
+});
+
+describe('arrangements', () => {
+    test('plays the song top to bottom without a custom order', () => {
+        const entries = resolveArrangement(getSections(song), null);
+        expect(entries.map(getSectionLabel)).toEqual(['Untitled', 'Verse 1', 'Chorus', 'Verse 2', 'Chorus (repeat)']);
+    });
+
+    test('follows a custom order and drops sections that no longer exist', () => {
+        const entries = resolveArrangement(getSections(song), ['chorus', 'bridge', 'verse 1', 'chorus']);
+        expect(entries.map(e => [e.key, e.isRepeat])).toEqual([['chorus', false], ['verse 1', false], ['chorus', true]]);
+    });
+
+    test('arrangeLines writes repeats out in full from the original section', () => {
+        expect(arrangeLines(song, ['chorus', 'chorus']).map(l => l.text)).toEqual(['[Chorus]', 'How sweet the sound', '[Chorus]', 'How sweet the sound']);
+        expect(arrangeLines(toLines(['a', 'b']), null).map(l => l.text)).toEqual(['a', 'b']);
+    });
+});
+
+test('insertSectionHeader adds a header and renumbers the lines', () => {
+    const lines = insertSectionHeader(toLines(['one', 'two']), 1, 'Bridge');
+    expect(lines).toEqual([
+        { id: 0, text: 'one', chords: [] },
+        { id: 1, text: '[Bridge]', chords: [] },
+        { id: 2, text: 'two', chords: [] },
+    ]);
+});
@@ -0,0 +1,79 @@
+// --- Export Formatters ---
+// Every formatter works on the editor's lines, { text, chords: [{ text, index }] }, where index
+// is the lyric character the chord sits over (the same shape parseChordSheet produces).
+import { parseSectionHeader, arrangeLines } from './sections';
+import { formatScaleName, getTonicChordName } from './scales';
+
+const sortChords = (chords) => [...chords].sort((a, b) => a.index - b.index);
+
+export const buildChordLine = (chords) => {
+    let chordLineText = '';
+    sortChords(chords).forEach(chord => {
+        // Crowded chords are pushed right, but always keep one space between them.
+        const minSpaces = chordLineText.length > 0 ? 1 : 0;
+        const spaces = Math.max(minSpaces, chord.index - chordLineText.length);
+        chordLineText += ' '.repeat(spaces) + chord.text;
+    });
+    return chordLineText;
+};
+
+export const toPlainText = (lines) => lines
+    .map(line => `${buildChordLine(line.chords)}\n${line.text}\n`)
+    .join('');
+
+// The plain text that's copied to the clipboard. It follows the arrangement, so repeated
+// sections are written out in full, and names the capo when the lines are capo shapes.
+export const flattenForExport = (lines, { arrangement = null, capo = 0 } = {}) => (capo ? `Capo ${capo}\n\n` : '')
+    + toPlainText(arrangeLines(lines, arrangement));
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Rows for the print view: chord rows and section labels get classes the page can style.
+export const toHtml = (lines) => lines.map(line => {
+    const chordLine = buildChordLine(line.chords);
+    const section = parseSectionHeader(line.text);
+    const lyric = section
+        ? `<span class="section">${escapeHtml(section.label)}</span>`
+        : escapeHtml(line.text);
+    return `<span class="chords">${escapeHtml(chordLine)}</span>\n${lyric}\n`;
+}).join('');
+
+export const formatKeyName = (key) => {
+    if (!key || !key.scaleKey) return '';
+    return formatScaleName(key);
+};
+
+export const toChordPro = (lines, { title, key, capo } = {}) => {
+    const header = [];
+    if (title) header.push(`{title: ${title}}`);
+    // ChordPro keys are chord symbols, so a mode is written as its tonic chord.
+    if (key && key.scaleKey) header.push(`{key: ${getTonicChordName(key)}}`);
+    if (capo) header.push(`{capo: ${capo}}`);
+    const body = lines.map(line => {
+        const section = parseSectionHeader(line.text);
+        if (section && line.chords.length === 0) return `{comment: ${section.label}}`;
+        let text = line.text;
+        // Insert from the right so earlier indices stay valid.
+        sortChords(line.chords).reverse().forEach(chord => {
+            if (chord.index > text.length) text = text.padEnd(chord.index, ' ');
+            text = `${text.slice(0, chord.index)}[${chord.text}]${text.slice(chord.index)}`;
+        });
+        return text;
+    });
+    return [...header, ...(header.length ? [''] : []), ...body].join('\n') + '\n';
+};
+
+export const toMarkdown = (lines, { title, key, capo } = {}) => {
+    const parts = [`# ${title || 'Chord Sheet'}`];
+    const details = [];
+    if (formatKeyName(key)) details.push(`**Key:** ${formatKeyName(key)}`);
+    if (capo) details.push(`**Capo ${capo}**`);
+    if (details.length) parts.push(details.join(' · '));
+    parts.push('```\n' + toPlainText(lines) + '```');
+    return parts.join('\n\n') + '\n';
+};
+
+export const toFileName = (title, extension) => {
+    const slug = (title || 'chord-sheet').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return `${slug || 'chord-sheet'}.${extension}`;
+};
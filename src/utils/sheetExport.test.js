@@ -0,0 +1,90 @@
+import { buildChordLine, toPlainText, flattenForExport, toHtml, toChordPro, toMarkdown, toFileName } from './sheetExport';
+import { parseChordSheet } from './sheetImport';
+import { toShapeLines, fromShapeLines } from './capo';
+
+const lines = [
+    { text: 'Amazing grace', chords: [{ text: 'C', index: 8 }, { text: 'G', index: 0 }] },
+    { text: 'how sweet', chords: [] },
+    { text: '', chords: [{ text: 'D', index: 0 }, { text: 'A', index: 4 }] },
+];
+
+test('buildChordLine keeps crowded chords apart', () => {
+    expect(buildChordLine([{ text: 'Gmaj7', index: 0 }, { text: 'C', index: 2 }])).toBe('Gmaj7 C');
+});
+
+test('toPlainText round-trips through the importer', () => {
+    const text = toPlainText(lines);
+    expect(text).toBe('G       C\nAmazing grace\n\nhow sweet\nD   A\n\n');
+    expect(parseChordSheet(text).lines).toEqual(lines.map(l => ({ ...l, chords: [...l.chords].sort((a, b) => a.index - b.index) })));
+});
+
+test('flattenForExport writes out the arrangement under a capo line', () => {
+    const sectioned = [
+        { id: 0, text: '[Chorus]', chords: [] },
+        { id: 1, text: 'la la', chords: [{ text: 'G', index: 0 }] },
+        { id: 2, text: '[Verse]', chords: [] },
+        { id: 3, text: 'hey', chords: [{ text: 'C', index: 1 }] },
+    ];
+    expect(flattenForExport(sectioned)).toBe(toPlainText(sectioned));
+    expect(flattenForExport(sectioned, { arrangement: ['verse', 'chorus', 'chorus'], capo: 2 })).toBe(
+        'Capo 2\n\n\n[Verse]\n C\nhey\n\n[Chorus]\nG\nla la\n\n[Chorus]\nG\nla la\n'
+    );
+});
+
+test('toChordPro inlines chords at their syllable', () => {
+    expect(toChordPro(lines, { title: 'Grace', key: { scaleKey: 'G', scaleType: 'major' } })).toBe(
+        '{title: Grace}\n{key: G}\n\n[G]Amazing [C]grace\nhow sweet\n[D]    [A]\n'
+    );
+    expect(toChordPro([{ text: 'Hi', chords: [{ text: 'Em', index: 4 }] }])).toBe('Hi  [Em]\n');
+});
+
+test('toChordPro writes section headers as comments the importer reads back', () => {
+    const sectioned = [{ text: '[Chorus]', chords: [] }, ...lines.slice(0, 1)];
+    const chordPro = toChordPro(sectioned);
+    expect(chordPro.split('\n')[0]).toBe('{comment: Chorus}');
+    expect(parseChordSheet(chordPro).lines[0]).toEqual({ text: '[Chorus]', chords: [] });
+});
+
+test('capo exports name the fret in the header', () => {
+    const meta = { title: 'Grace', key: { scaleKey: 'D#', scaleType: 'major' }, capo: 3 };
+    expect(toChordPro(lines, meta).split('\n').slice(0, 3)).toEqual(['{title: Grace}', '{key: D#}', '{capo: 3}']);
+    expect(toMarkdown(lines, meta)).toContain('**Key:** D# · **Capo 3**');
+    expect(parseChordSheet(toChordPro(lines, meta)).capo).toBe(3);
+});
+
+test('a capo export imports back to the same concert chords', () => {
+    const key = { scaleKey: 'D#', scaleType: 'major' };
+    const concert = [{ text: 'Amazing grace', chords: [{ text: 'Eb', index: 0 }, { text: 'Bb7/D', index: 8 }] }];
+    const imported = parseChordSheet(toChordPro(toShapeLines(concert, key, 3), { key, capo: 3 }));
+    const [, lyricLine] = imported.lines;
+    expect(lyricLine.chords.map(c => c.text)).toEqual(['C', 'G7/B']);
+    expect(fromShapeLines([lyricLine], imported.key, imported.capo)).toEqual(concert);
+});
+
+test('a copied capo sheet imports back to the same concert chords', () => {
+    const key = { scaleKey: 'D#', scaleType: 'major' };
+    const concert = [
+        { text: 'Amazing grace', chords: [{ text: 'Eb', index: 0 }, { text: 'Ab', index: 8 }] },
+        { text: 'how sweet', chords: [{ text: 'Bb7', index: 4 }] },
+    ];
+    const imported = parseChordSheet(flattenForExport(toShapeLines(concert, key, 3), { capo: 3 }));
+    expect(imported.capo).toBe(3);
+    expect(imported.lines.map(line => line.chords.map(c => c.text))).toEqual([['C', 'F'], ['G7']]);
+    expect(fromShapeLines(imported.lines, key, imported.capo)).toEqual(concert);
+});
+
+test('toHtml escapes lyrics and marks chord rows and section labels', () => {
+    const html = toHtml([{ text: '[Verse 1]', chords: [] }, { text: 'rock & roll', chords: [{ text: 'E', index: 0 }] }]);
+    expect(html).toBe('<span class="chords"></span>\n<span class="section">Verse 1</span>\n<span class="chords">E</span>\nrock &amp; roll\n');
+});
+
+test('toMarkdown wraps the sheet in a code block', () => {
+    expect(toMarkdown(lines, { title: 'Grace', key: { scaleKey: 'A', scaleType: 'minor' } })).toBe(
+        '# Grace\n\n**Key:** Am\n\n```\nG       C\nAmazing grace\n\nhow sweet\nD   A\n\n```\n'
+    );
+});
+
+test('toFileName slugifies the title', () => {
+    expect(toFileName('Amazing Grace (Live)!', 'cho')).toBe('amazing-grace-live.cho');
+    expect(toFileName('', 'pdf')).toBe('chord-sheet.pdf');
+});
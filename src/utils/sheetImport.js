@@ -0,0 +1,146 @@
+import { parseKey } from './music';
+import { isValidChord, isNoChord } from './chordParser';
+
+// --- Chord Recognition ---
+const SPACER_TOKENS = ['|', '||', '/', '-'];
+
+export const isChordToken = (token) => isValidChord(token) || isNoChord(token);
+
+// A chord line holds nothing but chords (and bar separators), with at least one real chord.
+export const isChordLine = (line) => {
+    const tokens = line.trim().split(/\s+/).filter(Boolean);
+    const chords = tokens.filter(t => !SPACER_TOKENS.includes(t));
+    return chords.length > 0 && chords.every(isChordToken);
+};
+
+const extractChords = (line) => {
+    const chords = [];
+    const tokenRegex = /\S+/g;
+    let match;
+    while ((match = tokenRegex.exec(line)) !== null) {
+        if (SPACER_TOKENS.includes(match[0])) continue;
+        chords.push({ text: match[0], index: match.index });
+    }
+    return chords;
+};
+
+// --- Plain Text (chords over lyrics) ---
+
+// The exact layout produced by flattenForExport: every lyric line is preceded by its
+// (possibly empty) chord line.
+const isPairedLayout = (rawLines) => {
+    if (rawLines.length === 0 || rawLines.length % 2 !== 0) return false;
+    let hasChords = false;
+    for (let i = 0; i < rawLines.length; i += 2) {
+        if (rawLines[i].trim() === '') continue;
+        if (!isChordLine(rawLines[i])) return false;
+        hasChords = true;
+    }
+    return hasChords;
+};
+
+const CAPO_LINE = /^\s*capo\s*:?\s*(\d+)\s*$/i;
+
+const parsePlainText = (rawLines) => {
+    const sheet = { title: null, artist: null, key: null, capo: null, lines: [] };
+
+    // A copied capo sheet starts with a "Capo N" line and a blank one before the paired lines.
+    let bodyLines = rawLines;
+    const capoMatch = bodyLines.length > 0 && bodyLines[0].match(CAPO_LINE);
+    if (capoMatch) {
+        sheet.capo = Number(capoMatch[1]);
+        bodyLines = bodyLines.slice(bodyLines.length > 1 && bodyLines[1].trim() === '' ? 2 : 1);
+    }
+
+    if (isPairedLayout(bodyLines)) {
+        for (let i = 0; i < bodyLines.length; i += 2) {
+            sheet.lines.push({ text: bodyLines[i + 1], chords: extractChords(bodyLines[i]) });
+        }
+        return sheet;
+    }
+
+    let pendingChords = null;
+    bodyLines.forEach(line => {
+        const keyMatch = line.match(/^\s*key\s*:\s*(.+?)\s*$/i);
+        if (keyMatch && parseKey(keyMatch[1])) {
+            sheet.key = parseKey(keyMatch[1]);
+            return;
+        }
+        const capoLine = line.match(CAPO_LINE);
+        if (capoLine) {
+            sheet.capo = Number(capoLine[1]);
+            return;
+        }
+        if (isChordLine(line)) {
+            if (pendingChords) sheet.lines.push({ text: '', chords: pendingChords });
+            pendingChords = extractChords(line);
+            return;
+        }
+        sheet.lines.push({ text: line, chords: pendingChords || [] });
+        pendingChords = null;
+    });
+    if (pendingChords) sheet.lines.push({ text: '', chords: pendingChords });
+    return sheet;
+};
+
+// --- ChordPro ---
+const DIRECTIVE = /^\s*\{\s*([a-zA-Z_]+)\s*(?::\s*(.*?))?\s*\}\s*$/;
+const INLINE_CHORD = /\[([^\]]*)\]/g;
+const SECTION_STARTS = {
+    start_of_chorus: 'Chorus', soc: 'Chorus',
+    start_of_verse: 'Verse', sov: 'Verse',
+    start_of_bridge: 'Bridge', sob: 'Bridge',
+};
+
+const isChordPro = (rawLines) => rawLines.some(line => {
+    if (DIRECTIVE.test(line)) return true;
+    return [...line.matchAll(INLINE_CHORD)].some(m => isChordToken(m[1].trim()));
+});
+
+const parseInlineChords = (line) => {
+    let text = '';
+    const chords = [];
+    let lastIndex = 0;
+    for (const match of line.matchAll(INLINE_CHORD)) {
+        text += line.slice(lastIndex, match.index);
+        lastIndex = match.index + match[0].length;
+        const chordText = match[1].trim();
+        if (isChordToken(chordText)) {
+            chords.push({ text: chordText, index: text.length });
+        } else {
+            text += match[0];
+        }
+    }
+    text += line.slice(lastIndex);
+    return { text, chords };
+};
+
+const parseChordPro = (rawLines) => {
+    const sheet = { title: null, artist: null, key: null, capo: null, lines: [] };
+    rawLines.forEach(line => {
+        if (line.trimStart().startsWith('#')) return;
+        const directive = line.match(DIRECTIVE);
+        if (!directive) {
+            sheet.lines.push(parseInlineChords(line));
+            return;
+        }
+        const name = directive[1].toLowerCase();
+        const value = directive[2] || '';
+        if (name === 'title' || name === 't') sheet.title = value;
+        else if (name === 'artist' || name === 'subtitle' || name === 'st') sheet.artist = sheet.artist || value;
+        else if (name === 'key') sheet.key = parseKey(value) || sheet.key;
+        else if (name === 'capo' && /^\d+$/.test(value.trim())) sheet.capo = Number(value);
+        else if (name === 'comment' || name === 'c' || name === 'ci') sheet.lines.push({ text: `[${value}]`, chords: [] });
+        else if (SECTION_STARTS[name]) sheet.lines.push({ text: `[${value || SECTION_STARTS[name]}]`, chords: [] });
+    });
+    return sheet;
+};
+
+// Turns a pasted or uploaded chord sheet into { title, artist, key, capo, lines }, where each line
+// is { text, chords: [{ text, index }] } and index is the lyric character the chord sits over.
+// With a capo the chords are the shapes played behind it, as written; see fromShapeLines.
+export const parseChordSheet = (input) => {
+    const rawLines = (input || '').replace(/\r\n?/g, '\n').split('\n');
+    if (rawLines[rawLines.length - 1] === '') rawLines.pop();
+    return isChordPro(rawLines) ? parseChordPro(rawLines) : parsePlainText(rawLines);
+};
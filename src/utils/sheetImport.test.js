@@ -0,0 +1,53 @@
+import { parseChordSheet, isChordLine } from './sheetImport';
+
+describe('isChordLine', () => {
+    test('recognizes lines made only of chords', () => {
+        expect(isChordLine('G        D/F#   Em7  | Cadd9')).toBe(true);
+        expect(isChordLine('  Bb   F   N.C.')).toBe(true);
+        expect(isChordLine('A')).toBe(true);
+    });
+
+    test('rejects lyric lines', () => {
+        expect(isChordLine('Amazing grace, how sweet the sound')).toBe(false);
+        expect(isChordLine('A day in the life')).toBe(false);
+        expect(isChordLine('   ')).toBe(false);
+    });
+});
+
+describe('parseChordSheet — plain text', () => {
+    test('round-trips the copied chords-over-lyrics layout', () => {
+        const copied = 'G        C\nAmazing grace\n\nhow sweet the sound\n    D\n\n';
+        const sheet = parseChordSheet(copied);
+        expect(sheet.lines).toEqual([
+            { text: 'Amazing grace', chords: [{ text: 'G', index: 0 }, { text: 'C', index: 9 }] },
+            { text: 'how sweet the sound', chords: [] },
+            { text: '', chords: [{ text: 'D', index: 4 }] },
+        ]);
+    });
+
+    test('keeps lyric-only lines and reads a Key: line', () => {
+        const sheet = parseChordSheet('Key: Bbm\n\nVerse one\nEm    C\nand the chorus\nEnd');
+        expect(sheet.key).toEqual({ scaleKey: 'A#', scaleType: 'minor' });
+        expect(sheet.lines.map(l => l.text)).toEqual(['', 'Verse one', 'and the chorus', 'End']);
+        expect(sheet.lines[2].chords).toEqual([{ text: 'Em', index: 0 }, { text: 'C', index: 6 }]);
+    });
+});
+
+describe('parseChordSheet — ChordPro', () => {
+    test('reads directives and inline chords', () => {
+        const sheet = parseChordSheet('{title: Amazing Grace}\n{key: G}\n{c: Verse}\nA[G]mazing [G7]grace\r\n# a comment\n[D]');
+        expect(sheet.title).toBe('Amazing Grace');
+        expect(sheet.key).toEqual({ scaleKey: 'G', scaleType: 'major' });
+        expect(sheet.lines).toEqual([
+            { text: '[Verse]', chords: [] },
+            { text: 'Amazing grace', chords: [{ text: 'G', index: 1 }, { text: 'G7', index: 8 }] },
+            { text: '', chords: [{ text: 'D', index: 0 }] },
+        ]);
+    });
+
+    test('leaves non-chord brackets in the lyric', () => {
+        const sheet = parseChordSheet('[Chorus]\n[C]Sing it [F]loud');
+        expect(sheet.lines[0]).toEqual({ text: '[Chorus]', chords: [] });
+        expect(sheet.lines[1].chords.map(c => c.index)).toEqual([0, 8]);
+    });
+});
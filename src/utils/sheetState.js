@@ -0,0 +1,127 @@
+import { transposeChord, transposeKey } from './chordParser';
+import { remapChords, matchLines } from './chordAnchors';
+import { removeChord, replaceChord, moveChord, nudgeChord, pasteChordRow } from './chordEditing';
+import { insertSectionHeader } from './sections';
+
+// --- Sheet State ---
+// The part of the open song the editor changes: { lines, lyrics, scaleKey, scaleType,
+// editorStep, arrangement, capo }, the same fields an undo snapshot holds. Every edit is a
+// pure function from one state to the next, and sheetReducer dispatches them for useReducer;
+// new chord ids come in with the action so replaying it gives the same state.
+export const createSheetState = (sheet = {}) => ({
+    lines: sheet.lines || [],
+    lyrics: sheet.lyrics || '',
+    scaleKey: sheet.scaleKey || 'C',
+    scaleType: sheet.scaleType || 'major',
+    editorStep: sheet.editorStep || 'lyrics',
+    arrangement: sheet.arrangement || null,
+    capo: sheet.capo || 0,
+});
+
+// --- Two-Step Workflow ---
+// Locking splits the lyrics into lines. Each line is matched to the line it was before the
+// lyrics were unlocked, so its chords follow it when lines are inserted, deleted or moved,
+// shifted along with any edits to its text. Line ids are their positions and are renumbered.
+export const lockLyrics = (state) => {
+    const texts = state.lyrics.split('\n');
+    const matches = matchLines(state.lines.map(line => line.text), texts);
+    return {
+        ...state,
+        lines: texts.map((text, index) => {
+            const oldLine = state.lines[matches[index]];
+            return {
+                id: index,
+                text,
+                chords: oldLine ? remapChords(oldLine.text, text, oldLine.chords) : []
+            };
+        }),
+        editorStep: 'chords',
+    };
+};
+
+// The lines with chords that locking the lyrics would drop because they were deleted:
+// [{ text, chords }] in their old order.
+export const findOrphanedChords = (state) => {
+    const matched = new Set(matchLines(state.lines.map(line => line.text), state.lyrics.split('\n')));
+    return state.lines
+        .filter((line, index) => !matched.has(index) && line.chords.length > 0)
+        .map(({ text, chords }) => ({ text, chords }));
+};
+
+export const unlockLyrics = (state) => ({
+    ...state,
+    lyrics: state.lines.map(line => line.text).join('\n'),
+    editorStep: 'lyrics',
+});
+
+// --- Placed Chords ---
+const updateLines = (state, lines) => (lines === state.lines ? state : { ...state, lines });
+
+export const placeChord = (state, lineId, text, index, id) => updateLines(state, state.lines.map(line => (
+    line.id === lineId ? { ...line, chords: [...line.chords, { id, text, index }] } : line
+)));
+
+export const deleteChord = (state, lineId, chordId) => updateLines(state, removeChord(state.lines, lineId, chordId));
+
+// --- Key ---
+// Chords the parser can't read (and so can't move) are left as they are; see getUntransposableChords.
+export const transposeSheet = (state, amount) => {
+    const targetKey = { scaleKey: transposeKey(state.scaleKey, amount), scaleType: state.scaleType };
+    return {
+        ...state,
+        scaleKey: targetKey.scaleKey,
+        lines: state.lines.map(line => ({
+            ...line,
+            chords: line.chords.map(c => {
+                const transposed = transposeChord(c.text, amount, targetKey);
+                return transposed === null ? c : { ...c, text: transposed };
+            })
+        })),
+    };
+};
+
+export const getUntransposableChords = (lines) => [...new Set(lines
+    .flatMap(line => line.chords.map(c => c.text))
+    .filter(text => transposeChord(text, 0) === null))];
+
+export const clearSheet = (state) => ({ ...state, lines: [], lyrics: '', arrangement: null, editorStep: 'lyrics' });
+
+// --- Reducer ---
+export const sheetReducer = (state, action) => {
+    switch (action.type) {
+        case 'load':
+            return createSheetState(action.sheet);
+        case 'editLyrics':
+            return { ...state, lyrics: action.lyrics };
+        case 'lock':
+            return lockLyrics(state);
+        case 'unlock':
+            return unlockLyrics(state);
+        case 'clear':
+            return clearSheet(state);
+        case 'place':
+            return placeChord(state, action.lineId, action.text, action.index, action.id);
+        case 'remove':
+            return deleteChord(state, action.lineId, action.chordId);
+        case 'replace':
+            return updateLines(state, replaceChord(state.lines, action.lineId, action.chordId, action.text));
+        case 'move':
+            return updateLines(state, moveChord(state.lines, action.lineId, action.chordId, action.toLineId, action.index));
+        case 'nudge':
+            return updateLines(state, nudgeChord(state.lines, action.lineId, action.chordId, action.amount));
+        case 'pasteRow':
+            return updateLines(state, pasteChordRow(state.lines, action.lineId, action.row, action.ids));
+        case 'addSection':
+            return updateLines(state, insertSectionHeader(state.lines, action.lineId, action.name));
+        case 'transpose':
+            return transposeSheet(state, action.amount);
+        case 'setKey':
+            return { ...state, scaleKey: action.scaleKey || state.scaleKey, scaleType: action.scaleType || state.scaleType };
+        case 'setCapo':
+            return { ...state, capo: action.capo };
+        case 'setArrangement':
+            return { ...state, arrangement: action.arrangement };
+        default:
+            return state;
+    }
+};
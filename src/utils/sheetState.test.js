@@ -0,0 +1,78 @@
+import { createSheetState, lockLyrics, findOrphanedChords, unlockLyrics, placeChord, deleteChord, transposeSheet, getUntransposableChords, clearSheet, sheetReducer } from './sheetState';
+
+const locked = lockLyrics(createSheetState({ lyrics: 'Amazing grace\nhow sweet', scaleKey: 'G' }));
+
+test('createSheetState fills in a blank sheet', () => {
+    expect(createSheetState()).toEqual({ lines: [], lyrics: '', scaleKey: 'C', scaleType: 'major', editorStep: 'lyrics', arrangement: null, capo: 0 });
+});
+
+test('lockLyrics splits the lyrics into lines ready for chords', () => {
+    expect(locked.editorStep).toBe('chords');
+    expect(locked.lines).toEqual([
+        { id: 0, text: 'Amazing grace', chords: [] },
+        { id: 1, text: 'how sweet', chords: [] },
+    ]);
+});
+
+test('chords survive unlocking, editing and locking the lyrics again', () => {
+    const withChord = placeChord(locked, 0, 'C', 8, 'c1');
+    const unlocked = unlockLyrics(withChord);
+    expect(unlocked).toMatchObject({ editorStep: 'lyrics', lyrics: 'Amazing grace\nhow sweet' });
+    const relocked = lockLyrics({ ...unlocked, lyrics: 'Oh amazing grace\nhow sweet' });
+    expect(relocked.lines[0].chords).toEqual([{ id: 'c1', text: 'C', index: 11 }]);
+});
+
+test('chords follow their lines when lines are inserted, moved or deleted', () => {
+    const sheet = unlockLyrics(placeChord(placeChord(locked, 0, 'G', 0, 'g'), 1, 'D', 4, 'd'));
+    const inserted = lockLyrics({ ...sheet, lyrics: '[Verse]\nAmazing grace\nhow sweet' });
+    expect(inserted.lines.map(line => line.chords.map(c => c.id))).toEqual([[], ['g'], ['d']]);
+    expect(inserted.lines.map(line => line.id)).toEqual([0, 1, 2]);
+    const moved = lockLyrics({ ...sheet, lyrics: 'how sweet\nAmazing grace' });
+    expect(moved.lines.map(line => line.chords.map(c => c.id))).toEqual([['d'], ['g']]);
+    expect(findOrphanedChords(sheet)).toEqual([]);
+
+    const deleted = { ...sheet, lyrics: 'how sweet' };
+    expect(findOrphanedChords(deleted)).toEqual([{ text: 'Amazing grace', chords: [{ id: 'g', text: 'G', index: 0 }] }]);
+    expect(lockLyrics(deleted).lines).toEqual([{ id: 0, text: 'how sweet', chords: [{ id: 'd', text: 'D', index: 4 }] }]);
+});
+
+test('placeChord and deleteChord leave the other lines alone', () => {
+    const placed = placeChord(locked, 1, 'D', 4, 'd1');
+    expect(placed.lines[1].chords).toEqual([{ id: 'd1', text: 'D', index: 4 }]);
+    expect(placed.lines[0]).toBe(locked.lines[0]);
+    expect(deleteChord(placed, 1, 'd1').lines[1].chords).toEqual([]);
+});
+
+test('transposeSheet moves the key and every chord it can read', () => {
+    const sheet = placeChord(placeChord(locked, 0, 'G', 0, 'a'), 0, 'D/F#', 8, 'b');
+    const withUnknown = placeChord(sheet, 1, '???', 0, 'c');
+    const transposed = transposeSheet(withUnknown, 3);
+    expect(transposed.scaleKey).toBe('A#');
+    expect(transposed.lines[0].chords.map(c => c.text)).toEqual(['Bb', 'F/A']);
+    expect(transposed.lines[1].chords[0].text).toBe('???');
+    expect(getUntransposableChords(withUnknown.lines)).toEqual(['???']);
+    expect(getUntransposableChords(placeChord(locked, 0, 'N.C.', 0, 'nc').lines)).toEqual([]);
+});
+
+test('clearSheet empties the sheet but keeps the key and capo', () => {
+    const cleared = clearSheet({ ...placeChord(locked, 0, 'G', 0, 'g'), capo: 2, arrangement: ['verse'] });
+    expect(cleared).toEqual({ ...createSheetState({ scaleKey: 'G' }), capo: 2 });
+});
+
+test('sheetReducer dispatches actions and ignores unknown ones', () => {
+    let state = sheetReducer(undefined, { type: 'load', sheet: { lyrics: 'hello' } });
+    state = sheetReducer(state, { type: 'editLyrics', lyrics: 'hello there' });
+    state = sheetReducer(state, { type: 'lock' });
+    state = sheetReducer(state, { type: 'place', id: 'am', lineId: 0, text: 'Am', index: 6 });
+    state = sheetReducer(state, { type: 'setKey', scaleType: 'minor' });
+    state = sheetReducer(state, { type: 'transpose', amount: 2 });
+    expect(state).toMatchObject({ scaleKey: 'D', scaleType: 'minor', lines: [{ text: 'hello there', chords: [{ id: 'am', text: 'Bm', index: 6 }] }] });
+    expect(sheetReducer(state, { type: 'unknown' })).toBe(state);
+});
+
+test('sheetReducer gives the same state when an action is replayed', () => {
+    const action = { type: 'pasteRow', lineId: 1, row: [{ text: 'D', index: 0 }, { text: 'G', index: 4 }], ids: ['p1', 'p2'] };
+    const pasted = sheetReducer(locked, action);
+    expect(sheetReducer(locked, action)).toEqual(pasted);
+    expect(pasted.lines[1].chords).toEqual([{ id: 'p1', text: 'D', index: 0 }, { id: 'p2', text: 'G', index: 4 }]);
+});
@@ -0,0 +1,160 @@
+import { compressToEncodedURIComponent, decompressFromEncodedURIComponent } from 'lz-string';
+import { normalizeNote } from './music';
+import { SCALE_TYPES } from './scales';
+import { MAX_CAPO } from './capo';
+import { MAX_SCROLL_SPEED } from './performance';
+import { createId, getSongContent } from './library';
+
+// --- Document Format ---
+// Songs leave the app as versioned JSON documents:
+//   { format: 'onlychords-song', version, song: { title, artist, tags, scaleKey, scaleType, lyrics, lines, ... } }
+//   { format: 'onlychords-backup', version, exportedAt, songs: [...], setlists: [...] }
+// When the shape changes, bump FORMAT_VERSION and add a step to MIGRATIONS that upgrades the
+// previous version, so files and links made by older versions keep opening.
+export const SONG_FORMAT = 'onlychords-song';
+export const BACKUP_FORMAT = 'onlychords-backup';
+export const FORMAT_VERSION = 1;
+
+// Each step takes a document of that version to the next one. Version 0 is the sheet saved
+// before the library existed ({ songTitle, scaleKey, scaleType, lyrics, lines, editorStep }).
+const MIGRATIONS = {
+    0: ({ songTitle, ...sheet }) => ({ format: SONG_FORMAT, version: 1, song: { ...sheet, title: songTitle || '' } }),
+};
+
+export const toSongDocument = (song) => ({ format: SONG_FORMAT, version: FORMAT_VERSION, song: getSongContent(song) });
+
+export const toBackupDocument = (songs, setlists) => ({
+    format: BACKUP_FORMAT,
+    version: FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    songs: songs.map(song => ({ id: song.id, createdAt: song.createdAt, updatedAt: song.updatedAt, ...getSongContent(song) })),
+    setlists,
+});
+
+// --- Validation ---
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const isOptional = (value, check) => value === undefined || value === null || check(value);
+const isString = (value) => typeof value === 'string';
+const isPosition = (value) => Number.isInteger(value) && value >= 0;
+
+// Sheets from before chords were anchored to characters store a pixel `position` instead of
+// an `index`; opening the song converts it.
+const findChordProblem = (chord) => {
+    if (!isObject(chord) || !isString(chord.text) || !chord.text.trim()) return 'a chord without a name';
+    if (!isPosition(chord.index) && typeof chord.position !== 'number') return `"${chord.text}" without a position`;
+    return null;
+};
+
+const findLineProblem = (line) => {
+    if (!isObject(line) || !isString(line.text) || !Array.isArray(line.chords)) return 'isn\'t a lyric line';
+    const chordProblem = line.chords.map(findChordProblem).find(Boolean);
+    return chordProblem ? `has ${chordProblem}` : null;
+};
+
+// The first thing wrong with a song, as a sentence for the user, or null.
+const findSongProblem = (song) => {
+    if (!isObject(song)) return 'The song is missing.';
+    if (!isOptional(song.title, isString) || !isOptional(song.artist, isString)) return 'The title and artist must be text.';
+    if (!isOptional(song.tags, tags => Array.isArray(tags) && tags.every(isString))) return 'Tags must be a list of words.';
+    if (!normalizeNote(song.scaleKey)) return `"${song.scaleKey}" isn't a key.`;
+    if (!isOptional(song.scaleType, type => SCALE_TYPES.some(scale => scale.value === type))) return `"${song.scaleType}" isn't a scale.`;
+    if (!isOptional(song.lyrics, isString)) return 'The lyrics must be text.';
+    if (!Array.isArray(song.lines)) return 'The song has no lines.';
+    const lineNumber = song.lines.findIndex(line => findLineProblem(line) !== null);
+    if (lineNumber !== -1) return `Line ${lineNumber + 1} ${findLineProblem(song.lines[lineNumber])}.`;
+    if (!isOptional(song.editorStep, step => step === 'lyrics' || step === 'chords')) return 'The editor step must be "lyrics" or "chords".';
+    if (!isOptional(song.arrangement, keys => Array.isArray(keys) && keys.every(isString))) return 'The arrangement must be a list of sections.';
+    if (!isOptional(song.capo, capo => isPosition(capo) && capo <= MAX_CAPO)) return `The capo must be a fret from 0 to ${MAX_CAPO}.`;
+    if (!isOptional(song.scrollSpeed, speed => Number.isInteger(speed) && speed >= 1 && speed <= MAX_SCROLL_SPEED)) return `The scroll speed must be from 1 to ${MAX_SCROLL_SPEED}.`;
+    return null;
+};
+
+// Line ids are their positions, and chords need ids to be edited, so both are filled in.
+const normalizeSong = (song) => {
+    const lines = song.lines.map((line, index) => ({
+        id: index,
+        text: line.text,
+        chords: line.chords.map(chord => ({ ...chord, id: chord.id === undefined ? createId() : chord.id }))
+    }));
+    return getSongContent({
+        ...song,
+        scaleKey: normalizeNote(song.scaleKey),
+        lines,
+        lyrics: isString(song.lyrics) ? song.lyrics : lines.map(line => line.text).join('\n'),
+    });
+};
+
+const findSetlistProblem = (setlist) => {
+    if (!isObject(setlist) || !isString(setlist.id) || !isString(setlist.name) || !Array.isArray(setlist.songs)) return 'A setlist is damaged.';
+    const hasBadEntry = setlist.songs.some(entry => !isObject(entry) || !isString(entry.songId) || !isOptional(entry.keyOverride, normalizeNote));
+    return hasBadEntry ? `The setlist "${setlist.name}" has a damaged song entry.` : null;
+};
+
+// --- Reading Documents ---
+const upgradeDocument = (doc) => {
+    if (!isObject(doc)) return { error: 'This isn\'t an OnlyChords file.' };
+    if (!doc.format && !Array.isArray(doc.lines)) return { error: 'This isn\'t an OnlyChords file.' };
+    if (doc.format && doc.format !== SONG_FORMAT && doc.format !== BACKUP_FORMAT) return { error: 'This isn\'t an OnlyChords file.' };
+    let upgraded = doc.format ? doc : { ...doc, version: 0 };
+    if (!Number.isInteger(upgraded.version) || upgraded.version < 0) return { error: 'The file has no valid version.' };
+    if (upgraded.version > FORMAT_VERSION) return { error: 'This file was made by a newer version of OnlyChords. Reload the app to update it.' };
+    while (upgraded.version < FORMAT_VERSION) upgraded = MIGRATIONS[upgraded.version](upgraded);
+    return { doc: upgraded };
+};
+
+// Whether imported text is a song or backup document rather than a chord sheet. ChordPro files
+// start with a `{title: ...}` directive too, so the text has to parse as one of our objects.
+export const isSongDocument = (text) => {
+    try {
+        const parsed = JSON.parse(text);
+        return isObject(parsed) && (parsed.format !== undefined || Array.isArray(parsed.lines));
+    } catch (error) {
+        return false;
+    }
+};
+
+// Parses an exported song or backup. Returns { kind: 'song' | 'backup', songs, setlists } with
+// the songs as song content (plus id, createdAt and updatedAt from a backup), or { error }.
+export const parseSongDocument = (text) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        return { error: 'This isn\'t a valid JSON file.' };
+    }
+    const { doc, error } = upgradeDocument(parsed);
+    if (error) return { error };
+
+    if (doc.format === SONG_FORMAT) {
+        const problem = findSongProblem(doc.song);
+        return problem ? { error: problem } : { kind: 'song', songs: [normalizeSong(doc.song)], setlists: [] };
+    }
+
+    if (!Array.isArray(doc.songs) || !Array.isArray(doc.setlists)) return { error: 'The backup has no songs or setlists.' };
+    const songIndex = doc.songs.findIndex(song => findSongProblem(song) !== null || !isString(song.id));
+    if (songIndex !== -1) {
+        const song = doc.songs[songIndex];
+        return { error: `Song ${songIndex + 1} of the backup: ${findSongProblem(song) || 'it has no id.'}` };
+    }
+    const setlistProblem = doc.setlists.map(findSetlistProblem).find(Boolean);
+    if (setlistProblem) return { error: setlistProblem };
+    const songs = doc.songs.map(song => ({ ...normalizeSong(song), id: song.id, createdAt: song.createdAt || Date.now(), updatedAt: song.updatedAt || Date.now() }));
+    return { kind: 'backup', songs, setlists: doc.setlists };
+};
+
+// --- Share Links ---
+// The whole song is compressed into the URL's hash, which never reaches a server.
+const SHARE_HASH_PREFIX = '#song=';
+
+export const isShareHash = (hash) => (hash || '').startsWith(SHARE_HASH_PREFIX);
+
+export const toShareUrl = (song, pageUrl) => {
+    const data = compressToEncodedURIComponent(JSON.stringify(toSongDocument(song)));
+    return `${pageUrl.split('#')[0]}${SHARE_HASH_PREFIX}${data}`;
+};
+
+// Returns the shared song as parseSongDocument does, or { error } for a damaged link.
+export const readShareHash = (hash) => {
+    const json = decompressFromEncodedURIComponent(hash.slice(SHARE_HASH_PREFIX.length));
+    return json ? parseSongDocument(json) : { error: 'This share link is damaged. Ask for it to be sent again.' };
+};
@@ -0,0 +1,74 @@
+import { isSongDocument, toSongDocument, toBackupDocument, parseSongDocument, toShareUrl, readShareHash, isShareHash, SONG_FORMAT, FORMAT_VERSION } from './songFormat';
+import { createSong, createSetlist, getSongContent } from './library';
+
+const song = createSong({
+    title: 'Wonderwall',
+    artist: 'Oasis',
+    scaleKey: 'F#',
+    scaleType: 'minor',
+    capo: 2,
+    lyrics: 'Today is gonna be',
+    lines: [{ id: 0, text: 'Today is gonna be', chords: [{ id: 'a', text: 'Em7', index: 0 }, { id: 'b', text: 'G', index: 9 }] }],
+    editorStep: 'chords',
+});
+
+const parseDocument = (doc) => parseSongDocument(JSON.stringify(doc));
+
+test('a song survives export and import', () => {
+    const doc = toSongDocument(song);
+    expect(doc).toMatchObject({ format: SONG_FORMAT, version: FORMAT_VERSION });
+    expect(doc.song.id).toBeUndefined();
+    expect(parseDocument(doc)).toEqual({ kind: 'song', songs: [getSongContent(song)], setlists: [] });
+});
+
+test('a backup keeps song ids and setlists', () => {
+    const setlist = { ...createSetlist('Friday'), songs: [{ songId: song.id, keyOverride: 'G' }] };
+    const result = parseDocument(toBackupDocument([song], [setlist]));
+    expect(result.kind).toBe('backup');
+    expect(result.songs[0]).toMatchObject({ id: song.id, title: 'Wonderwall', capo: 2 });
+    expect(result.setlists).toEqual([setlist]);
+});
+
+test('isSongDocument tells song files from ChordPro sheets', () => {
+    expect(isSongDocument(JSON.stringify(toSongDocument(song)))).toBe(true);
+    expect(isSongDocument(JSON.stringify({ songTitle: 'Old', lines: [] }))).toBe(true);
+    expect(isSongDocument('{title: Wonderwall}\n[Em7]Today')).toBe(false);
+    expect(isSongDocument('[1, 2]')).toBe(false);
+});
+
+test('parseSongDocument fills in line and chord ids and respells flat keys', () => {
+    const result = parseDocument({ format: SONG_FORMAT, version: 1, song: { scaleKey: 'Bb', lines: [{ id: 7, text: 'hi', chords: [{ text: 'F', index: 0 }] }] } });
+    const [imported] = result.songs;
+    expect(imported.scaleKey).toBe('A#');
+    expect(imported.lines[0].id).toBe(0);
+    expect(imported.lines[0].chords[0].id).toBeDefined();
+    expect(imported.lyrics).toBe('hi');
+});
+
+test('parseSongDocument migrates a sheet saved before the library existed', () => {
+    const legacySheet = { songTitle: 'Old', scaleKey: 'D', scaleType: 'major', lyrics: 'la', lines: [{ id: 0, text: 'la', chords: [{ id: 1, text: 'D', position: 16 }] }], editorStep: 'chords' };
+    const [imported] = parseDocument(legacySheet).songs;
+    expect(imported).toMatchObject({ title: 'Old', scaleKey: 'D', editorStep: 'chords' });
+    expect(imported.lines[0].chords[0]).toEqual({ id: 1, text: 'D', position: 16 });
+});
+
+test.each([
+    ['not json', '{nope', 'valid JSON'],
+    ['another app\'s file', JSON.stringify({ format: 'other', version: 1 }), 'isn\'t an OnlyChords file'],
+    ['a newer version', JSON.stringify({ format: SONG_FORMAT, version: FORMAT_VERSION + 1, song: {} }), 'newer version'],
+    ['a bad key', JSON.stringify({ format: SONG_FORMAT, version: 1, song: { scaleKey: 'H', lines: [] } }), '"H" isn\'t a key'],
+    ['a chord with no position', JSON.stringify({ format: SONG_FORMAT, version: 1, song: { scaleKey: 'C', lines: [{ text: 'x', chords: [{ text: 'C' }] }] } }), 'Line 1 has "C" without a position'],
+    ['a capo past the neck', JSON.stringify({ format: SONG_FORMAT, version: 1, song: { scaleKey: 'C', lines: [], capo: 20 } }), 'capo'],
+])('parseSongDocument rejects %s', (_, text, message) => {
+    expect(parseSongDocument(text).error).toContain(message);
+});
+
+test('share links round-trip the song through the URL hash', () => {
+    const url = toShareUrl(song, 'https://example.com/app/#song=old');
+    expect(url.startsWith('https://example.com/app/#song=')).toBe(true);
+    const hash = url.slice(url.indexOf('#'));
+    expect(isShareHash(hash)).toBe(true);
+    expect(readShareHash(hash).songs[0]).toEqual(getSongContent(song));
+    expect(readShareHash('#song=garbage').error).toBeDefined();
+    expect(isShareHash('#verse')).toBe(false);
+});
@@ -0,0 +1,155 @@
+// --- IndexedDB Storage ---
+// Songs and setlists live in IndexedDB so big libraries don't run into localStorage quotas.
+// Where IndexedDB is unavailable (old browsers, tests) an in-memory store stands in, which is
+// lost when the page closes; isPersistentStorage lets the app say so.
+const DB_NAME = 'onlyChords';
+const DB_VERSION = 1;
+export const STORES = { songs: 'songs', setlists: 'setlists', settings: 'settings' };
+export const LEGACY_STORAGE_KEY = 'onlyChordsSheetData';
+
+let dbPromise = null;
+const memoryStores = {};
+
+const hasIndexedDB = () => typeof window !== 'undefined' && !!window.indexedDB;
+
+export const isPersistentStorage = hasIndexedDB;
+
+const openDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORES.songs)) db.createObjectStore(STORES.songs, { keyPath: 'id' });
+                if (!db.objectStoreNames.contains(STORES.setlists)) db.createObjectStore(STORES.setlists, { keyPath: 'id' });
+                if (!db.objectStoreNames.contains(STORES.settings)) db.createObjectStore(STORES.settings, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let the next call try again rather than failing for the rest of the session.
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+};
+
+const runRequest = async (storeName, mode, action) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = action(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+const getMemoryStore = (storeName) => {
+    if (!memoryStores[storeName]) memoryStores[storeName] = new Map();
+    return memoryStores[storeName];
+};
+
+// Records are cloned on the way in and out, just like IndexedDB's structured clone.
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+export const getAll = async (storeName) => {
+    if (!hasIndexedDB()) return [...getMemoryStore(storeName).values()].map(clone);
+    return runRequest(storeName, 'readonly', store => store.getAll());
+};
+
+export const put = async (storeName, value) => {
+    if (!hasIndexedDB()) {
+        const keyPath = storeName === STORES.settings ? 'key' : 'id';
+        getMemoryStore(storeName).set(value[keyPath], clone(value));
+        return;
+    }
+    await runRequest(storeName, 'readwrite', store => store.put(value));
+};
+
+export const remove = async (storeName, key) => {
+    if (!hasIndexedDB()) {
+        getMemoryStore(storeName).delete(key);
+        return;
+    }
+    await runRequest(storeName, 'readwrite', store => store.delete(key));
+};
+
+export const getSetting = async (key) => {
+    if (!hasIndexedDB()) return clone(getMemoryStore(STORES.settings).get(key)?.value);
+    const record = await runRequest(STORES.settings, 'readonly', store => store.get(key));
+    return record ? record.value : undefined;
+};
+
+export const setSetting = (key, value) => put(STORES.settings, { key, value });
+
+// --- Legacy Single-Sheet Data ---
+export const readLegacySheet = () => {
+    try {
+        const savedData = localStorage.getItem(LEGACY_STORAGE_KEY);
+        return savedData ? JSON.parse(savedData) : null;
+    } catch (error) {
+        console.error("Failed to read legacy sheet data", error);
+        return null;
+    }
+};
+
+export const clearLegacySheet = () => localStorage.removeItem(LEGACY_STORAGE_KEY);
+
+// --- Session Undo History ---
+// Kept per song in sessionStorage, so it survives a reload but not closing the tab. Only the
+// open song's is kept, and only its latest steps: the snapshots share lines in memory but are
+// written out in full, and sessionStorage holds a few megabytes at most.
+const HISTORY_KEY_PREFIX = 'onlyChordsHistory:';
+const MAX_SESSION_HISTORY = 20;
+const historyKey = (songId) => `${HISTORY_KEY_PREFIX}${songId}`;
+
+const isQuotaError = (error) => !!error && (error.name === 'QuotaExceededError' || error.code === 22);
+
+export const readSessionHistory = (songId) => {
+    try {
+        const savedHistory = sessionStorage.getItem(historyKey(songId));
+        return savedHistory ? JSON.parse(savedHistory) : null;
+    } catch (error) {
+        console.error("Failed to read undo history", error);
+        return null;
+    }
+};
+
+// While the quota is still exceeded, the oldest half of the steps is dropped and it tries again.
+const writeHistorySteps = (key, past, future) => {
+    try {
+        sessionStorage.setItem(key, JSON.stringify({ past, future }));
+    } catch (error) {
+        if (!isQuotaError(error) || past.length + future.length === 0) {
+            console.error("Failed to save undo history", error);
+        } else if (past.length > 0) {
+            writeHistorySteps(key, past.slice(Math.ceil(past.length / 2)), future);
+        } else {
+            writeHistorySteps(key, past, future.slice(0, Math.floor(future.length / 2)));
+        }
+    }
+};
+
+export const writeSessionHistory = (songId, history) => writeHistorySteps(
+    historyKey(songId),
+    history.past.slice(-MAX_SESSION_HISTORY),
+    history.future.slice(0, MAX_SESSION_HISTORY)
+);
+
+export const clearSessionHistory = (songId) => {
+    try {
+        sessionStorage.removeItem(historyKey(songId));
+    } catch (error) {
+        console.error("Failed to clear undo history", error);
+    }
+};
+
+// Drops the history of every song but the one being opened.
+export const clearOtherSessionHistories = (songId) => {
+    try {
+        const staleKeys = Object.keys(sessionStorage).filter(key => key.startsWith(HISTORY_KEY_PREFIX) && key !== historyKey(songId));
+        staleKeys.forEach(key => sessionStorage.removeItem(key));
+    } catch (error) {
+        console.error("Failed to clear undo history", error);
+    }
+};
@@ -0,0 +1,38 @@
+import { readSessionHistory, writeSessionHistory, clearSessionHistory, clearOtherSessionHistories } from './storage';
+
+const snapshot = (n) => ({ lines: [], lyrics: `step ${n}`, scaleKey: 'C', scaleType: 'major', editorStep: 'lyrics', arrangement: null, capo: 0 });
+const steps = (count) => Array.from({ length: count }, (_, n) => snapshot(n));
+
+beforeEach(() => sessionStorage.clear());
+afterEach(() => jest.restoreAllMocks());
+
+test('writeSessionHistory keeps only the latest steps', () => {
+    writeSessionHistory('a', { past: steps(100), future: steps(30) });
+    const saved = readSessionHistory('a');
+    expect(saved.past.map(s => s.lyrics)).toEqual(steps(100).slice(-20).map(s => s.lyrics));
+    expect(saved.future).toHaveLength(20);
+});
+
+test('writeSessionHistory drops the oldest steps until they fit the quota', () => {
+    const setItem = Storage.prototype.setItem;
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(function (key, value) {
+        if (value.length > 800) throw new DOMException('full', 'QuotaExceededError');
+        setItem.call(this, key, value);
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    writeSessionHistory('a', { past: steps(20), future: [] });
+    const saved = readSessionHistory('a');
+    expect(saved.past.length).toBeGreaterThan(0);
+    expect(saved.past.length).toBeLessThan(20);
+    expect(saved.past[saved.past.length - 1].lyrics).toBe('step 19');
+    expect(console.error).not.toHaveBeenCalled();
+});
+
+test('session histories are cleared for deleted songs and songs left behind', () => {
+    ['a', 'b', 'c'].forEach(id => writeSessionHistory(id, { past: steps(1), future: [] }));
+    clearSessionHistory('a');
+    expect(readSessionHistory('a')).toBeNull();
+    clearOtherSessionHistories('c');
+    expect(readSessionHistory('b')).toBeNull();
+    expect(readSessionHistory('c')).not.toBeNull();
+});
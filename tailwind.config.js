@@ -1,5 +1,7 @@
 // tailwind.config.js
 
+const defaultTheme = require('tailwindcss/defaultTheme');
+
 /** @type {import('tailwindcss').Config} */
 module.exports = {
   darkMode: 'class',
@@ -8,6 +10,10 @@ module.exports = {
   ],
   theme: {
     extend: {
+      // Inconsolata is bundled (see src/index.js), so sheets look the same offline
+      fontFamily: {
+        mono: ['Inconsolata', ...defaultTheme.fontFamily.mono],
+      },
       // Add these animation properties
       animation: {
         'gradient-flow': 'gradient-flow 3s ease-in-out infinite',